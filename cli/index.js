@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import * as XLSX from 'xlsx';
+import { importEdaBom } from '../src/lib/edaBom.js';
+import { parseBuffer } from '../src/lib/parsing.js';
+import { prepareSource, runMatching } from '../src/lib/pipeline.js';
+import { DEFAULT_PRICING_SETTINGS, defaultCatalogPricing } from '../src/lib/pricing.js';
+import {
+  DEFAULT_PROPOSAL_DETAILS,
+  buildProposalLines,
+  buildProposalWorkbook,
+  buildReportCsv,
+} from '../src/lib/proposal.js';
+
+const FORMATS = ['xlsx', 'csv', 'json'];
+
+const USAGE = `Usage: npm run match -- --catalog <file> [--catalog <file>…] [options] <request file>…
+
+Matches each request file against the catalogs and writes one report per request.
+
+Options:
+  -c, --catalog <file>          Catalog CSV/XLSX (repeatable, earlier files take precedence)
+  -x, --cross-reference <file>  Cross-reference CSV/XLSX (repeatable)
+  -f, --format <format>         Report format: xlsx, csv or json (default xlsx)
+  -o, --out <dir>               Directory for reports (default current directory)
+      --min-coverage <percent>  Exit with code 1 when any request's line coverage is below this
+      --pricing <file>          JSON pricing settings ({ currency, rates, rules })
+      --customer <name>         Customer name for the report and pricing rules
+  -q, --quiet                   Only print errors
+  -h, --help                    Show this help
+
+Exit codes: 0 success, 1 coverage below --min-coverage, 2 invalid input.`;
+
+class CliError extends Error {
+  constructor(message, { showUsage = false } = {}) {
+    super(message);
+    this.name = 'CliError';
+    this.showUsage = showUsage;
+  }
+}
+
+async function loadSource(file, kind) {
+  const name = path.basename(file);
+  let data;
+  try {
+    data = new Uint8Array(await readFile(file));
+  } catch (error) {
+    throw new CliError(`Could not read ${file}: ${error.message}`);
+  }
+  try {
+    const records = await parseBuffer(data, name);
+    if (kind !== 'client') return prepareSource({ name, records }, kind);
+    const { records: imported, bomImport } = importEdaBom(records);
+    return prepareSource({ name, records: imported, mapping: bomImport?.mapping }, kind);
+  } catch (error) {
+    throw new CliError(`${file}: ${error.message}`);
+  }
+}
+
+async function loadPricing(file) {
+  if (!file) return DEFAULT_PRICING_SETTINGS;
+  try {
+    return { ...DEFAULT_PRICING_SETTINGS, ...JSON.parse(await readFile(file, 'utf8')) };
+  } catch (error) {
+    throw new CliError(`Could not read pricing settings from ${file}: ${error.message}`);
+  }
+}
+
+// Request files with the same name in different directories get -2, -3… suffixes instead of overwriting each other.
+function reportPaths(outDir, requestFiles, format) {
+  const used = new Set();
+  return requestFiles.map((file) => {
+    const base = path.basename(file, path.extname(file));
+    let name = `${base}-report.${format}`;
+    for (let copy = 2; used.has(name.toLowerCase()); copy += 1) {
+      name = `${base}-${copy}-report.${format}`;
+    }
+    used.add(name.toLowerCase());
+    return path.join(outDir, name);
+  });
+}
+
+function mappedFields(record, mapping) {
+  return Object.fromEntries(
+    Object.entries(mapping || {})
+      .filter(([, column]) => column)
+      .map(([field, column]) => [field, record[column] ?? ''])
+  );
+}
+
+function reportMatch({ catalog, source, shadowed, ...match }) {
+  return {
+    ...match,
+    catalog: mappedFields(catalog, source?.mapping),
+    source: source ? { id: source.id, name: source.name } : null,
+    ...(shadowed && { shadowed: shadowed.map(({ id, name }) => ({ id, name })) }),
+  };
+}
+
+function reportGap(gap) {
+  if (!gap.specification) return gap;
+  return { ...gap, specification: { ...gap.specification, candidates: gap.specification.candidates.map(reportMatch) } };
+}
+
+async function writeReport(file, format, { source, result, stats, details }) {
+  const lines = buildProposalLines(source.records, result);
+
+  if (format === 'json') {
+    const report = {
+      file: source.name,
+      stats,
+      found: result.found.map(reportMatch),
+      alternates: result.alternates.map(reportMatch),
+      missing: result.missing.map(reportGap),
+    };
+    await writeFile(file, JSON.stringify(report, null, 2));
+  } else if (format === 'csv') {
+    await writeFile(file, buildReportCsv(lines));
+  } else {
+    const workbook = buildProposalWorkbook({ details, lines, stats });
+    await writeFile(file, XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx', compression: true }));
+  }
+}
+
+function parseOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        catalog: { type: 'string', short: 'c', multiple: true },
+        'cross-reference': { type: 'string', short: 'x', multiple: true },
+        format: { type: 'string', short: 'f', default: 'xlsx' },
+        out: { type: 'string', short: 'o', default: '.' },
+        'min-coverage': { type: 'string' },
+        pricing: { type: 'string' },
+        customer: { type: 'string', default: '' },
+        quiet: { type: 'boolean', short: 'q', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    throw new CliError(error.message, { showUsage: true });
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+  if (!values.catalog?.length) throw new CliError('Pass at least one --catalog file.', { showUsage: true });
+  if (!positionals.length) throw new CliError('Pass at least one request file.', { showUsage: true });
+  if (!FORMATS.includes(values.format)) {
+    throw new CliError(`--format must be one of: ${FORMATS.join(', ')}.`, { showUsage: true });
+  }
+
+  const minCoverage = values['min-coverage'] === undefined ? null : Number(values['min-coverage']);
+  if (minCoverage !== null && !(minCoverage >= 0 && minCoverage <= 100)) {
+    throw new CliError('--min-coverage must be a percentage between 0 and 100.', { showUsage: true });
+  }
+
+  return {
+    catalogs: values.catalog,
+    crossReferences: values['cross-reference'] || [],
+    requests: positionals,
+    format: values.format,
+    outDir: values.out,
+    minCoverage,
+    pricing: values.pricing,
+    customer: values.customer,
+    quiet: values.quiet,
+  };
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const options = parseOptions(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const log = options.quiet ? () => {} : (message) => console.log(message);
+  const catalogs = [];
+  for (const file of options.catalogs) {
+    const source = await loadSource(file, 'catalog');
+    catalogs.push({
+      ...source,
+      id: `catalog-${catalogs.length + 1}`,
+      pricing: defaultCatalogPricing(source.records, source.mapping),
+    });
+    log(`Loaded catalog ${source.name} (${source.records.length} rows, identifier "${source.mapping.identifier}")`);
+  }
+
+  const crossReferences = [];
+  for (const file of options.crossReferences) {
+    const source = await loadSource(file, 'crossReference');
+    crossReferences.push({ ...source, id: `cross-reference-${crossReferences.length + 1}` });
+  }
+
+  const pricingSettings = await loadPricing(options.pricing);
+  const details = { ...DEFAULT_PROPOSAL_DETAILS, customer: options.customer };
+  await mkdir(options.outDir, { recursive: true });
+
+  const outputs = reportPaths(options.outDir, options.requests, options.format);
+  let belowThreshold = 0;
+  for (const [position, file] of options.requests.entries()) {
+    const source = await loadSource(file, 'client');
+    const { result, stats } = await runMatching({
+      catalogs,
+      sources: [source],
+      crossReferences,
+      pricingSettings,
+      customer: options.customer,
+    });
+    const output = outputs[position];
+    await writeReport(output, options.format, {
+      source,
+      result,
+      stats,
+      details: { ...details, reference: source.name },
+    });
+
+    const failed = options.minCoverage !== null && stats.coverage < options.minCoverage;
+    if (failed) belowThreshold += 1;
+    log(
+      `${failed ? 'FAIL' : 'ok  '} ${source.name}: ${stats.coverage}% coverage ` +
+        `(${stats.found} matched, ${stats.unconfirmed} fuzzy to confirm, ${stats.alternates} alternates, ` +
+        `${stats.missing} gaps of ${stats.total}) -> ${output}`
+    );
+  }
+
+  if (belowThreshold) {
+    console.error(`${belowThreshold} request file(s) fell below ${options.minCoverage}% coverage.`);
+    return 1;
+  }
+  return 0;
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    if (error instanceof CliError) {
+      console.error(error.showUsage ? `${error.message}\n\n${USAGE}` : error.message);
+    } else {
+      console.error(error);
+    }
+    process.exitCode = 2;
+  }
+);
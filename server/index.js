@@ -0,0 +1,112 @@
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { LLM_PROVIDERS, settingsForProvider } from '../src/lib/llm.js';
+import { HttpError, sendError, sendJson } from './http.js';
+import { createApiHandler } from './routes.js';
+import { createCatalogStore } from './store.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+};
+
+function numberEnv(env, name, fallback) {
+  if (env[name] === undefined || env[name] === '') return fallback;
+  const value = Number(env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+export function loadConfig(env = process.env) {
+  const provider = env.LLM_PROVIDER || 'openai';
+  if (!LLM_PROVIDERS[provider] || provider === 'server') {
+    const supported = Object.keys(LLM_PROVIDERS).filter((key) => key !== 'server');
+    throw new Error(`LLM_PROVIDER must be one of: ${supported.join(', ')}.`);
+  }
+  const defaults = settingsForProvider(provider);
+
+  return {
+    port: numberEnv(env, 'PORT', 8787),
+    dataDir: env.DATA_DIR === '' ? null : path.resolve(ROOT, env.DATA_DIR || '.data'),
+    staticDir: path.resolve(ROOT, env.STATIC_DIR || 'dist'),
+    bodyLimit: numberEnv(env, 'BODY_LIMIT_MB', 50) * 1024 * 1024,
+    rateLimit: numberEnv(env, 'RATE_LIMIT_PER_MINUTE', 120),
+    briefRateLimit: numberEnv(env, 'BRIEF_RATE_LIMIT_PER_MINUTE', 10),
+    llm: {
+      ...defaults,
+      baseUrl: env.LLM_BASE_URL || defaults.baseUrl,
+      model: env.LLM_MODEL || defaults.model,
+      maxTokens: numberEnv(env, 'LLM_MAX_TOKENS', defaults.maxTokens),
+      apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || '',
+    },
+  };
+}
+
+async function serveStatic(res, staticDir, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    throw new HttpError(400, 'Malformed request path.');
+  }
+
+  const requested = path.normalize(path.join(staticDir, decoded));
+  if (requested !== staticDir && !requested.startsWith(staticDir + path.sep)) {
+    throw new HttpError(403, 'Forbidden.');
+  }
+
+  let file = requested;
+  try {
+    if (!(await stat(file)).isFile()) file = path.join(staticDir, 'index.html');
+  } catch {
+    file = path.join(staticDir, 'index.html');
+  }
+
+  try {
+    await stat(file);
+  } catch {
+    sendJson(res, 404, { error: { message: 'Not found. Run npm run build to serve the app from this server.' } });
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+  createReadStream(file).pipe(res);
+}
+
+export async function createServer(config = loadConfig()) {
+  const store = await createCatalogStore(config.dataDir);
+  const handleApi = createApiHandler({ store, config });
+
+  return http.createServer((req, res) => {
+    let url;
+    try {
+      url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    } catch {
+      sendError(res, new HttpError(400, 'Malformed request URL.'));
+      return;
+    }
+    if (url.pathname.startsWith('/api/')) {
+      handleApi(req, res, url);
+      return;
+    }
+    serveStatic(res, config.staticDir, url.pathname).catch((error) => sendError(res, error));
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const config = loadConfig();
+  const server = await createServer(config);
+  server.listen(config.port, () => {
+    console.log(`Product search API listening on http://localhost:${config.port}`);
+    console.log(`AI briefs use ${LLM_PROVIDERS[config.llm.provider].label} (${config.llm.model}).`);
+  });
+}
@@ -0,0 +1,29 @@
+import { HttpError } from './http.js';
+
+export function createRateLimiter({ limit, windowMs = 60_000 }) {
+  const windows = new Map();
+
+  return function check(key) {
+    if (!limit) return;
+    const now = Date.now();
+    let entry = windows.get(key);
+    if (!entry || now - entry.start >= windowMs) {
+      entry = { start: now, count: 0 };
+      windows.set(key, entry);
+    }
+
+    entry.count += 1;
+    if (entry.count > limit) {
+      const retryAfter = Math.ceil((entry.start + windowMs - now) / 1000);
+      throw new HttpError(429, `Rate limit of ${limit} requests per minute exceeded.`, {
+        'Retry-After': String(retryAfter),
+      });
+    }
+
+    if (windows.size > 10_000) {
+      windows.forEach((value, windowKey) => {
+        if (now - value.start >= windowMs) windows.delete(windowKey);
+      });
+    }
+  };
+}
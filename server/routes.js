@@ -0,0 +1,250 @@
+import { randomUUID } from 'node:crypto';
+import { LLM_PROVIDERS, LlmCancelledError, createLlmProvider } from '../src/lib/llm.js';
+import { DEFAULT_MATCH_RULES } from '../src/lib/matching.js';
+import { parseBuffer } from '../src/lib/parsing.js';
+import { prepareSource, runMatching } from '../src/lib/pipeline.js';
+import { DEFAULT_PRICING_SETTINGS } from '../src/lib/pricing.js';
+import { clientAddress, HttpError, isJsonRequest, readBody, readJson, sendError, sendJson } from './http.js';
+import { createRateLimiter } from './rateLimit.js';
+import { describeCatalog } from './store.js';
+
+function listParam(url, name) {
+  const value = url.searchParams.get(name);
+  return value ? value.split(',').map((entry) => entry.trim()).filter(Boolean) : undefined;
+}
+
+function jsonParam(url, name) {
+  const value = url.searchParams.get(name);
+  if (!value) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new HttpError(400, `Query parameter "${name}" is not valid JSON.`);
+  }
+}
+
+async function readUpload(req, url, config, kind) {
+  if (isJsonRequest(req)) {
+    const body = await readJson(req, config.bodyLimit);
+    if (!Array.isArray(body.records)) {
+      throw new HttpError(400, 'Send "records" as an array of row objects, or upload a CSV/XLSX file body.');
+    }
+    return { body, source: prepareUploadSource(body, kind) };
+  }
+
+  const name = url.searchParams.get('name');
+  if (!name) {
+    throw new HttpError(400, 'Add ?name=<file name> so the server can tell CSV from Excel uploads.');
+  }
+  const data = await readBody(req, config.bodyLimit);
+  let records;
+  try {
+    records = await parseBuffer(new Uint8Array(data), name, { sheetNames: listParam(url, 'sheets') });
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+  const body = { name, records, mapping: jsonParam(url, 'mapping') };
+  return { body, source: prepareUploadSource(body, kind) };
+}
+
+function prepareUploadSource(body, kind) {
+  try {
+    return prepareSource(body, kind);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchRules(rules) {
+  if (rules === undefined) return DEFAULT_MATCH_RULES;
+  if (!isPlainObject(rules)) throw new HttpError(400, '"rules" must be an object.');
+
+  const merged = { ...DEFAULT_MATCH_RULES, ...rules };
+  ['prefixes', 'suffixes'].forEach((key) => {
+    if (!Array.isArray(merged[key]) || merged[key].some((entry) => typeof entry !== 'string')) {
+      throw new HttpError(400, `"rules.${key}" must be an array of strings.`);
+    }
+    merged[key] = merged[key].map((entry) => entry.trim().toUpperCase()).filter(Boolean);
+  });
+  ['maxDistance', 'minConfidence'].forEach((key) => {
+    if (typeof merged[key] !== 'number' || !Number.isFinite(merged[key]) || merged[key] < 0) {
+      throw new HttpError(400, `"rules.${key}" must be a non-negative number.`);
+    }
+  });
+  return merged;
+}
+
+function pricingSettings(settings) {
+  if (settings === undefined) return DEFAULT_PRICING_SETTINGS;
+  if (!isPlainObject(settings)) throw new HttpError(400, '"pricingSettings" must be an object.');
+
+  const merged = { ...DEFAULT_PRICING_SETTINGS, ...settings };
+  if (typeof merged.currency !== 'string' || !merged.currency.trim()) {
+    throw new HttpError(400, '"pricingSettings.currency" must be a currency code.');
+  }
+  ['rates', 'rules'].forEach((key) => {
+    if (!Array.isArray(merged[key]) || !merged[key].every(isPlainObject)) {
+      throw new HttpError(400, `"pricingSettings.${key}" must be an array of objects.`);
+    }
+  });
+  if (merged.rates.some((rate) => typeof rate.code !== 'string')) {
+    throw new HttpError(400, 'Every entry in "pricingSettings.rates" needs a "code" string.');
+  }
+  return merged;
+}
+
+function crossReferenceFiles(files) {
+  if (files === undefined) return [];
+  if (!Array.isArray(files) || !files.every((file) => isPlainObject(file) && Array.isArray(file.records))) {
+    throw new HttpError(400, '"crossReferences" must be an array of { name, records, mapping } objects.');
+  }
+  return files.map((file) => ({ id: randomUUID(), ...prepareUploadSource(file, 'crossReference') }));
+}
+
+function selectCatalogs(store, catalogIds) {
+  if (catalogIds !== undefined && !Array.isArray(catalogIds)) {
+    throw new HttpError(400, '"catalogIds" must be an array of catalog ids.');
+  }
+  if (!catalogIds?.length) return store.list();
+  return catalogIds.map((id) => {
+    const catalog = store.get(id);
+    if (!catalog) throw new HttpError(404, `Catalog ${id} was not found.`);
+    return catalog;
+  });
+}
+
+async function handleMatch(req, res, { url, store, config }) {
+  const { body, source } = await readUpload(req, url, config, 'client');
+  const catalogs = selectCatalogs(store, body.catalogIds || listParam(url, 'catalogIds'));
+  if (!catalogs.length) {
+    throw new HttpError(409, 'Upload at least one catalog before matching.');
+  }
+
+  const { result, stats } = await runMatching({
+    catalogs,
+    sources: [source],
+    crossReferences: crossReferenceFiles(body.crossReferences),
+    rules: matchRules(body.rules),
+    pricingSettings: pricingSettings(body.pricingSettings),
+    customer: body.customer,
+  });
+
+  sendJson(res, 200, { stats, ...result });
+}
+
+async function handleBrief(req, res, { config }) {
+  const body = await readJson(req, config.bodyLimit);
+  if (typeof body.system !== 'string' || typeof body.user !== 'string') {
+    throw new HttpError(400, 'Send the prompt as { "system": "...", "user": "..." }.');
+  }
+  if (LLM_PROVIDERS[config.llm.provider].requiresKey && !config.llm.apiKey) {
+    throw new HttpError(503, 'The server has no LLM_API_KEY configured for AI briefs.');
+  }
+
+  const settings = {
+    ...config.llm,
+    temperature: body.temperature ?? config.llm.temperature,
+    maxTokens: Math.min(body.maxTokens || config.llm.maxTokens, config.llm.maxTokens),
+  };
+  const provider = createLlmProvider(settings, { apiKey: config.llm.apiKey });
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  try {
+    await provider.stream(
+      { system: body.system, user: body.user, json: Boolean(body.json) },
+      {
+        signal: controller.signal,
+        onToken: (token) => res.write(`data: ${JSON.stringify({ token })}\n\n`),
+      }
+    );
+    res.write('data: [DONE]\n\n');
+  } catch (error) {
+    if (!(error instanceof LlmCancelledError)) {
+      res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
+    }
+  }
+  res.end();
+}
+
+function handleHealth(req, res, { config }) {
+  sendJson(res, 200, { status: 'ok', llm: { provider: config.llm.provider, model: config.llm.model } });
+}
+
+function handleListCatalogs(req, res, { store }) {
+  sendJson(res, 200, { catalogs: store.list().map(describeCatalog) });
+}
+
+async function handleCreateCatalog(req, res, { url, store, config }) {
+  const { body, source } = await readUpload(req, url, config, 'catalog');
+  const catalog = await store.add({ ...source, pricing: body.pricing });
+  sendJson(res, 201, { catalog: describeCatalog(catalog) });
+}
+
+function handleGetCatalog(req, res, { params, store }) {
+  const catalog = store.get(params[0]);
+  if (!catalog) throw new HttpError(404, `Catalog ${params[0]} was not found.`);
+  sendJson(res, 200, { catalog: { ...describeCatalog(catalog), records: catalog.records } });
+}
+
+async function handleDeleteCatalog(req, res, { params, store }) {
+  if (!(await store.remove(params[0]))) throw new HttpError(404, `Catalog ${params[0]} was not found.`);
+  res.writeHead(204);
+  res.end();
+}
+
+export function createApiHandler({ store, config }) {
+  const limitRequests = createRateLimiter({ limit: config.rateLimit });
+  const limitBriefs = createRateLimiter({ limit: config.briefRateLimit });
+
+  const routes = [
+    ['GET', /^\/api\/health$/, handleHealth],
+    ['GET', /^\/api\/catalogs$/, handleListCatalogs],
+    ['POST', /^\/api\/catalogs$/, handleCreateCatalog],
+    ['GET', /^\/api\/catalogs\/([^/]+)$/, handleGetCatalog],
+    ['DELETE', /^\/api\/catalogs\/([^/]+)$/, handleDeleteCatalog],
+    ['POST', /^\/api\/match$/, handleMatch],
+    [
+      'POST',
+      /^\/api\/brief$/,
+      (req, res, context) => {
+        limitBriefs(clientAddress(req));
+        return handleBrief(req, res, context);
+      },
+    ],
+  ];
+
+  return async function handleApi(req, res, url) {
+    try {
+      limitRequests(clientAddress(req));
+      const candidates = routes.filter(([, pattern]) => pattern.test(url.pathname));
+      if (!candidates.length) throw new HttpError(404, `No API route for ${url.pathname}.`);
+      const route = candidates.find(([method]) => method === req.method);
+      if (!route) {
+        throw new HttpError(405, `${req.method} is not supported for ${url.pathname}.`, {
+          Allow: candidates.map(([method]) => method).join(', '),
+        });
+      }
+      let params;
+      try {
+        params = url.pathname.match(route[1]).slice(1).map(decodeURIComponent);
+      } catch {
+        throw new HttpError(400, 'Malformed request path.');
+      }
+      await route[2](req, res, { url, params, store, config });
+    } catch (error) {
+      if (!(error instanceof HttpError)) console.error(error);
+      sendError(res, error);
+    }
+  };
+}
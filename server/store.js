@@ -0,0 +1,67 @@
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { defaultCatalogPricing } from '../src/lib/pricing.js';
+
+export function describeCatalog(catalog) {
+  const { records, ...summary } = catalog;
+  return { ...summary, rowCount: records.length };
+}
+
+export async function createCatalogStore(dataDir) {
+  const file = dataDir ? path.join(dataDir, 'catalogs.json') : null;
+  let catalogs = [];
+
+  if (file) {
+    try {
+      catalogs = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  let pendingWrite = Promise.resolve();
+  const persist = () => {
+    if (!file) return Promise.resolve();
+    const snapshot = JSON.stringify(catalogs);
+    // A failed write rejects only for its own caller; the next write still runs.
+    pendingWrite = pendingWrite.catch(() => {}).then(async () => {
+      await mkdir(dataDir, { recursive: true });
+      await writeFile(`${file}.tmp`, snapshot);
+      await rename(`${file}.tmp`, file);
+    });
+    return pendingWrite;
+  };
+
+  return {
+    list() {
+      return catalogs;
+    },
+
+    get(id) {
+      return catalogs.find((catalog) => catalog.id === id) || null;
+    },
+
+    async add({ name, records, mapping, pricing }) {
+      const catalog = {
+        id: randomUUID(),
+        name,
+        records,
+        mapping,
+        pricing: pricing || defaultCatalogPricing(records, mapping),
+        uploadedAt: new Date().toISOString(),
+      };
+      catalogs = [...catalogs, catalog];
+      await persist();
+      return catalog;
+    },
+
+    async remove(id) {
+      const before = catalogs.length;
+      catalogs = catalogs.filter((catalog) => catalog.id !== id);
+      if (catalogs.length === before) return false;
+      await persist();
+      return true;
+    },
+  };
+}
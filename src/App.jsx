@@ -1,192 +1,750 @@
-import { useMemo, useRef, useState } from 'react';
-import Papa from 'papaparse';
-import * as XLSX from 'xlsx';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  detectHeaders,
+  getMappedValue,
+  headerSignature,
+  loadSavedMapping,
+  saveMapping,
+  suggestMapping,
+} from './lib/columns.js';
+import {
+  DEFAULT_MATCH_RULES,
+  MATCH_TIERS,
+  MATCH_TIER_LABELS,
+  catalogLayer,
+  createCatalogSearch,
+  formatConfidence,
+  isConfirmedMatch,
+  matchRecords,
+  parseRuleList,
+  summarizeMatchResult,
+} from './lib/matching.js';
+import { CROSS_REFERENCE_TYPE_LABELS, buildCrossReferenceIndex } from './lib/crossReference.js';
+import { AVAILABILITY_LABELS, AVAILABILITY_STATUSES, describeAvailability } from './lib/availability.js';
+import { formatBytes, formatDate, formatMoney } from './lib/format.js';
+import {
+  createWorkspaceBundle,
+  downloadWorkspaceBundle,
+  mergeWorkspaces,
+  parseWorkspaceBundle,
+  summarizeWorkspace,
+} from './lib/bundle.js';
+import { analyzeDemand, createMatchRuns, downloadDemandGaps, recordMatchRuns } from './lib/demand.js';
+import { describeBomImport, importEdaBom } from './lib/edaBom.js';
+import { AT_RISK_STATUSES, LIFECYCLE_LABELS, describeLifecycle, isAtRisk } from './lib/lifecycle.js';
+import { ensureIndex, getCachedIndex } from './lib/indexCache.js';
+import { DEFAULT_API_BASE_URL, createApiClient } from './lib/apiClient.js';
+import { DEFAULT_LLM_SETTINGS, LlmCancelledError, browserLlmSettings, createLlmProvider } from './lib/llm.js';
+import { ParseCancelledError, UPLOAD_ACCEPT } from './lib/parsing.js';
+import { DEFAULT_AGENT_STEPS, DEFAULT_PLAYBOOKS, buildBriefPrompt } from './lib/playbook.js';
+import {
+  DEFAULT_PRICING_SETTINGS,
+  applyPricing,
+  defaultCatalogPricing,
+  describePricingRule,
+  formatPriceBreak,
+} from './lib/pricing.js';
+import { parseFileInBackground } from './lib/workerClient.js';
+import {
+  DEFAULT_PROPOSAL_DETAILS,
+  buildProposalLines,
+  buildProposalWorkbook,
+  buildQuoteHtml,
+  downloadWorkbook,
+  printQuote,
+} from './lib/proposal.js';
+import {
+  acceptedRecommendations,
+  attachCandidates,
+  batchParts,
+  buildRecommendationPrompt,
+  mergeRecommendationDecisions,
+  parseRecommendations,
+  recommendationParts,
+} from './lib/recommendations.js';
+import {
+  countQualityIssues,
+  defaultDuplicateChoices,
+  resolveDuplicates,
+  summarizeQuality,
+  validateRecords,
+} from './lib/quality.js';
+import {
+  compareProjectCoverage,
+  createProject,
+  duplicateProject,
+  matchRequestSources,
+  projectName,
+  updateProjectWorkspace,
+} from './lib/projects.js';
+import {
+  applyResolutions,
+  createResolution,
+  customerResolutions,
+  describeResolution,
+  removeResolution,
+  resolvableLines,
+  resolvedLines,
+  saveResolution,
+  searchCatalog,
+  suggestResolutions,
+} from './lib/resolutions.js';
+import { snapshotRevision } from './lib/revisions.js';
+import { computeMatchStats } from './lib/stats.js';
+import {
+  clearWorkspace,
+  estimateStorage,
+  loadWorkspace,
+  saveCatalogs,
+  saveWorkspaceState,
+} from './lib/storage.js';
+import AgentPlaybook from './components/AgentPlaybook.jsx';
+import AiRecommendations from './components/AiRecommendations.jsx';
+import CatalogPricingEditor from './components/CatalogPricingEditor.jsx';
+import CatalogRevisionHistory from './components/CatalogRevisionHistory.jsx';
+import ColumnMappingWizard from './components/ColumnMappingWizard.jsx';
+import DemandAnalytics from './components/DemandAnalytics.jsx';
+import LlmSettings from './components/LlmSettings.jsx';
+import MatchResolution from './components/MatchResolution.jsx';
+import PricingSettings from './components/PricingSettings.jsx';
+import ProjectWorkspaces from './components/ProjectWorkspaces.jsx';
+import ProposalExport from './components/ProposalExport.jsx';
+import QualityReport from './components/QualityReport.jsx';
+import QualityReview from './components/QualityReview.jsx';
+import RecordBrowser from './components/RecordBrowser.jsx';
+import SheetSelector from './components/SheetSelector.jsx';
+import SpecCandidates from './components/SpecCandidates.jsx';
+import UploadDropZone from './components/UploadDropZone.jsx';
+import WorkspaceImport from './components/WorkspaceImport.jsx';
 import './App.css';
 
-const IDENTIFIER_KEYS = ['part number', 'part', 'sku', 'pn', 'component', 'item', 'id', 'mpn', 'manufacturer part number'];
-
-function sanitizeRecords(records) {
-  return records
-    .map((record) => {
-      const sanitized = {};
-      Object.entries(record).forEach(([key, value]) => {
-        if (value === undefined || value === null) return;
-        const trimmed = String(value).trim();
-        if (!trimmed) return;
-        sanitized[key.trim()] = trimmed;
-      });
-      return sanitized;
-    })
-    .filter((record) => Object.keys(record).length > 0);
-}
-
-function extractIdentifier(record) {
-  if (!record) return '';
-  const lowerMap = Object.fromEntries(
-    Object.entries(record).map(([key, value]) => [key.toLowerCase(), value])
-  );
-
-  for (const candidate of IDENTIFIER_KEYS) {
-    if (lowerMap[candidate]) {
-      return lowerMap[candidate].toUpperCase();
-    }
-  }
+const apiClient = createApiClient(import.meta.env.VITE_API_BASE_URL || DEFAULT_API_BASE_URL);
 
-  const firstValue = Object.values(record)[0];
-  return firstValue ? String(firstValue).toUpperCase() : '';
+function describeLinePrice(pricing) {
+  if (!pricing || pricing.unitPrice === null) return pricing?.reason || 'Unpriced';
+  return [
+    `${formatMoney(pricing.unitPrice, pricing.currency)} each`,
+    `${formatMoney(pricing.extendedPrice, pricing.currency)} extended`,
+    `${formatPriceBreak(pricing.tier)} break`,
+    describePricingRule(pricing.rule),
+  ]
+    .filter(Boolean)
+    .join(' • ');
 }
 
-async function parseFile(file) {
-  const extension = file.name.split('.').pop()?.toLowerCase();
-
-  if (extension === 'csv') {
-    return new Promise((resolve, reject) => {
-      Papa.parse(file, {
-        header: true,
-        skipEmptyLines: true,
-        complete: (results) => resolve(sanitizeRecords(results.data)),
-        error: (error) => reject(error),
-      });
-    });
-  }
-
-  if (['xls', 'xlsx'].includes(extension)) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        try {
-          const data = new Uint8Array(event.target.result);
-          const workbook = XLSX.read(data, { type: 'array' });
-          const sheetName = workbook.SheetNames[0];
-          const worksheet = workbook.Sheets[sheetName];
-          const jsonData = XLSX.utils.sheet_to_json(worksheet, { raw: false });
-          resolve(sanitizeRecords(jsonData));
-        } catch (error) {
-          reject(error);
-        }
-      };
-      reader.onerror = () => reject(new Error('Unable to read file.'));
-      reader.readAsArrayBuffer(file);
-    });
-  }
+function ruleListText(rules) {
+  return { prefixes: rules.prefixes.join(', '), suffixes: rules.suffixes.join(', ') };
+}
 
-  throw new Error('Unsupported file format. Upload CSV or Excel.');
+function LifecycleBadge({ lifecycle }) {
+  if (lifecycle.status === 'unknown' && !lifecycle.value) return null;
+  return (
+    <em className={`lifecycle-badge lifecycle-badge--${lifecycle.status}`} title={describeLifecycle(lifecycle)}>
+      {lifecycle.status === 'unknown' ? lifecycle.value : LIFECYCLE_LABELS[lifecycle.status]}
+    </em>
+  );
 }
 
-const defaultAgentSteps = [
-  {
-    title: 'Understand requirements',
-    description:
-      'Use the uploaded request list to identify the number of unique components, quantities, and any missing specifications that could impact sourcing.',
-  },
-  {
-    title: 'Cross-check catalog',
-    description:
-      'Compare each requested connector with the active catalog. Flag legacy or end-of-life parts and highlight viable alternates.',
-  },
-  {
-    title: 'Compose proposal brief',
-    description:
-      'Summarize available inventory, lead times, and cost-saving bundles. Recommend follow-up actions for uncovered parts.',
-  },
-];
-
-function formatDate(date) {
-  return new Intl.DateTimeFormat('en-US', {
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-  }).format(date);
+function ResolutionNote({ resolution }) {
+  if (!resolution) return null;
+  return (
+    <p className="match-source">
+      {describeResolution(resolution)} by {resolution.resolvedBy}
+    </p>
+  );
 }
 
 function App() {
   const [catalogFiles, setCatalogFiles] = useState([]);
   const [expandedCatalog, setExpandedCatalog] = useState(null);
+  const [historyCatalog, setHistoryCatalog] = useState(null);
+  const [pricingCatalog, setPricingCatalog] = useState(null);
+  const [qualityCatalog, setQualityCatalog] = useState(null);
+  const [browseClientRecords, setBrowseClientRecords] = useState(false);
+  const [showClientQuality, setShowClientQuality] = useState(false);
   const [activeCatalogId, setActiveCatalogId] = useState(null);
-  const [clientRecords, setClientRecords] = useState([]);
+  const [searchMode, setSearchMode] = useState('active');
+  const [projects, setProjects] = useState(() => [createProject()]);
+  const [activeProjectId, setActiveProjectId] = useState(() => projects[0].id);
+  const [customerMappings, setCustomerMappings] = useState({});
+  const [matchHistory, setMatchHistory] = useState([]);
+  const [clientSources, setClientSources] = useState([]);
+  const [pendingUploads, setPendingUploads] = useState([]);
+  const [sheetRequests, setSheetRequests] = useState([]);
+  const [qualityReviews, setQualityReviews] = useState([]);
+  const [uploadErrors, setUploadErrors] = useState([]);
+  const [crossReferences, setCrossReferences] = useState([]);
+  const [parseJobs, setParseJobs] = useState([]);
+  const [indexVersion, setIndexVersion] = useState(0);
+  const [processingError, setProcessingError] = useState('');
+  const [serverBusy, setServerBusy] = useState(false);
+  const [serverMessage, setServerMessage] = useState('');
+  const [serverError, setServerError] = useState('');
   const [aiBrief, setAiBrief] = useState('');
+  const [aiRecommendations, setAiRecommendations] = useState([]);
+  const [aiProgress, setAiProgress] = useState(null);
+  const [proposalDetails, setProposalDetails] = useState(DEFAULT_PROPOSAL_DETAILS);
+  const [proposalColumns, setProposalColumns] = useState(null);
+  const [proposalError, setProposalError] = useState('');
   const [aiError, setAiError] = useState('');
   const [aiLoading, setAiLoading] = useState(false);
-  const [agentSteps, setAgentSteps] = useState(defaultAgentSteps);
+  const [llmSettings, setLlmSettings] = useState(DEFAULT_LLM_SETTINGS);
+  const [agentSteps, setAgentSteps] = useState(DEFAULT_AGENT_STEPS);
+  const [playbooks, setPlaybooks] = useState(DEFAULT_PLAYBOOKS);
+  const [activePlaybookId, setActivePlaybookId] = useState(DEFAULT_PLAYBOOKS[0].id);
+  const [matchRules, setMatchRules] = useState(DEFAULT_MATCH_RULES);
+  const [matchRuleText, setMatchRuleText] = useState(() => ruleListText(DEFAULT_MATCH_RULES));
+  const [pricingSettings, setPricingSettings] = useState(DEFAULT_PRICING_SETTINGS);
+  const [workspaceReady, setWorkspaceReady] = useState(false);
+  const [storageInfo, setStorageInfo] = useState(null);
+  const [storageError, setStorageError] = useState('');
+  const [pendingImport, setPendingImport] = useState(null);
 
   const catalogUploadRef = useRef(null);
   const updateUploadRef = useRef({});
   const clientUploadRef = useRef(null);
+  const crossReferenceUploadRef = useRef(null);
+  const workspaceImportRef = useRef(null);
+  const savedCatalogsRef = useRef([]);
+  const aiAbortRef = useRef(null);
+  const matchRunPendingRef = useRef(false);
 
   const activeCatalog = useMemo(
     () => catalogFiles.find((file) => file.id === activeCatalogId) || null,
     [catalogFiles, activeCatalogId]
   );
 
-  const matchResult = useMemo(() => {
-    if (!activeCatalog || clientRecords.length === 0) {
+  const searchCatalogs = useMemo(() => {
+    if (searchMode === 'combined') {
+      return catalogFiles.filter((file) => file.includeInSearch);
+    }
+    return activeCatalog ? [activeCatalog] : [];
+  }, [searchMode, catalogFiles, activeCatalog]);
+
+  const catalogColumnOptions = useMemo(() => {
+    const headers = new Set();
+    searchCatalogs.forEach((catalog) => {
+      detectHeaders(catalog.records.slice(0, 200)).forEach((header) => headers.add(header));
+    });
+    return Array.from(headers);
+  }, [searchCatalogs]);
+
+  const defaultProposalColumns = useMemo(() => {
+    const columns = new Set();
+    searchCatalogs.forEach(({ mapping }) => {
+      ['description', 'manufacturer'].forEach((field) => mapping?.[field] && columns.add(mapping[field]));
+    });
+    return Array.from(columns);
+  }, [searchCatalogs]);
+
+  const clientRecords = useMemo(
+    () => clientSources.flatMap((source) => source.records),
+    [clientSources]
+  );
+
+  useEffect(() => {
+    const unindexed = searchCatalogs.filter(
+      (catalog) => !getCachedIndex(catalog.records, catalog.mapping, matchRules)
+    );
+    if (!unindexed.length) return undefined;
+
+    let cancelled = false;
+    Promise.all(unindexed.map((catalog) => ensureIndex(catalog.records, catalog.mapping, matchRules)))
+      .then(() => {
+        if (cancelled) return;
+        setProcessingError('');
+        setIndexVersion((version) => version + 1);
+      })
+      .catch((error) => {
+        if (!cancelled) setProcessingError(`Could not index the catalog: ${error.message}`);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [searchCatalogs, matchRules]);
+
+  const catalogSearch = useMemo(() => {
+    const layers = searchCatalogs.map((catalog) =>
+      catalogLayer(catalog, getCachedIndex(catalog.records, catalog.mapping, matchRules))
+    );
+    if (layers.length === 0 || layers.some((layer) => !layer.index)) return null;
+    return createCatalogSearch(layers, matchRules);
+  }, [searchCatalogs, matchRules, indexVersion]);
+
+  const crossIndex = useMemo(
+    () => (crossReferences.length ? buildCrossReferenceIndex(crossReferences, matchRules) : null),
+    [crossReferences, matchRules]
+  );
+
+  const baseMatchResult = useMemo(() => {
+    if (!catalogSearch || clientRecords.length === 0) {
       return {
         found: [],
+        alternates: [],
         missing: [],
+        indexing: searchCatalogs.length > 0 && !catalogSearch && clientRecords.length > 0,
       };
     }
 
-    const catalogIndex = new Map();
-    activeCatalog.records.forEach((record) => {
-      const identifier = extractIdentifier(record);
-      if (identifier) {
-        catalogIndex.set(identifier, record);
-      }
+    return matchRequestSources(catalogSearch, clientSources, crossIndex);
+  }, [catalogSearch, searchCatalogs.length, clientRecords.length, clientSources, crossIndex]);
+
+  const activeCustomer = projects.find((project) => project.id === activeProjectId)?.customer || '';
+
+  const resolutions = useMemo(
+    () => customerResolutions(customerMappings, activeCustomer),
+    [customerMappings, activeCustomer]
+  );
+
+  const resolvedMatchResult = useMemo(
+    () => applyResolutions(catalogSearch, baseMatchResult, resolutions, activeProjectId),
+    [catalogSearch, baseMatchResult, resolutions, activeProjectId]
+  );
+
+  const matchResult = useMemo(() => {
+    const pricingById = new Map(searchCatalogs.map((catalog) => [catalog.id, catalog.pricing]));
+    return applyPricing(resolvedMatchResult, {
+      pricingFor: (catalogId) => pricingById.get(catalogId),
+      settings: pricingSettings,
+      customer: proposalDetails.customer,
     });
+  }, [resolvedMatchResult, searchCatalogs, pricingSettings, proposalDetails.customer]);
 
-    const found = [];
-    const missing = [];
+  const matchStats = useMemo(
+    () => computeMatchStats(matchResult, clientRecords.length, pricingSettings),
+    [clientRecords.length, matchResult, pricingSettings]
+  );
 
-    clientRecords.forEach((record) => {
-      const identifier = extractIdentifier(record);
-      if (!identifier) {
-        missing.push({ record, reason: 'No identifier detected' });
-        return;
-      }
+  const atRiskMatches = useMemo(
+    () => [...matchResult.found, ...matchResult.alternates].filter((item) => isAtRisk(item.lifecycle)),
+    [matchResult]
+  );
 
-      if (catalogIndex.has(identifier)) {
-        found.push({
-          requested: record,
-          catalog: catalogIndex.get(identifier),
-        });
-      } else {
-        missing.push({ record, reason: 'Not present in catalog' });
-      }
+  const lifecycleMapped = searchCatalogs.some((catalog) => catalog.mapping?.lifecycle);
+
+  const pendingResolutions = useMemo(() => resolvableLines(matchResult), [matchResult]);
+
+  const completedResolutions = useMemo(() => resolvedLines(matchResult), [matchResult]);
+
+  const matchSummary = useMemo(() => summarizeMatchResult(matchResult), [matchResult]);
+
+  const demandAnalysis = useMemo(() => analyzeDemand(matchHistory, matchRules), [matchHistory, matchRules]);
+
+  const currentProjects = useMemo(
+    () =>
+      projects.map((project) =>
+        project.id === activeProjectId
+          ? updateProjectWorkspace(project, {
+              clientSources,
+              aiBrief,
+              aiRecommendations,
+              proposalDetails,
+              proposalColumns,
+              matchSummary,
+            })
+          : project
+      ),
+    [
+      projects,
+      activeProjectId,
+      clientSources,
+      aiBrief,
+      aiRecommendations,
+      proposalDetails,
+      proposalColumns,
+      matchSummary,
+    ]
+  );
+
+  const applyProject = (project) => {
+    setClientSources(project.clientSources);
+    setAiBrief(project.aiBrief);
+    setAiRecommendations(project.aiRecommendations);
+    setProposalDetails(project.proposalDetails);
+    setProposalColumns(project.proposalColumns);
+  };
+
+  const resetMatchRules = (rules) => {
+    setMatchRules(rules);
+    setMatchRuleText(ruleListText(rules));
+  };
+
+  const applyWorkspace = (workspace) => {
+    setCatalogFiles(workspace.catalogs);
+    setActiveCatalogId(workspace.activeCatalogId || null);
+    setSearchMode(workspace.searchMode || 'active');
+    const savedProjects = workspace.projects?.length ? workspace.projects : [createProject()];
+    const activeProject =
+      savedProjects.find((project) => project.id === workspace.activeProjectId) || savedProjects[0];
+    setProjects(savedProjects);
+    setActiveProjectId(activeProject.id);
+    applyProject(activeProject);
+    setCrossReferences(workspace.crossReferences || []);
+    setCustomerMappings(workspace.customerMappings || {});
+    setMatchHistory(workspace.matchHistory || []);
+    setAgentSteps(workspace.agentSteps || DEFAULT_AGENT_STEPS);
+    setPlaybooks(workspace.playbooks || DEFAULT_PLAYBOOKS);
+    setActivePlaybookId(workspace.activePlaybookId ?? DEFAULT_PLAYBOOKS[0].id);
+    resetMatchRules(workspace.matchRules || DEFAULT_MATCH_RULES);
+    setPricingSettings(workspace.pricingSettings || DEFAULT_PRICING_SETTINGS);
+    setLlmSettings(browserLlmSettings(workspace.llmSettings));
+  };
+
+  const refreshStorageInfo = () => {
+    estimateStorage()
+      .then(setStorageInfo)
+      .catch(() => setStorageInfo(null));
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadWorkspace()
+      .then((workspace) => {
+        if (cancelled || !workspace) return;
+        savedCatalogsRef.current = workspace.catalogs;
+        applyWorkspace(workspace);
+      })
+      .catch((error) => {
+        if (!cancelled) setStorageError(`Could not restore the saved workspace: ${error.message}`);
+      })
+      .finally(() => {
+        if (cancelled) return;
+        setWorkspaceReady(true);
+        refreshStorageInfo();
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!workspaceReady) return;
+    const previous = savedCatalogsRef.current;
+    savedCatalogsRef.current = catalogFiles;
+    saveCatalogs(catalogFiles, previous)
+      .then(refreshStorageInfo)
+      .catch((error) => setStorageError(`Could not save catalogs: ${error.message}`));
+  }, [workspaceReady, catalogFiles]);
+
+  const workspaceState = useMemo(
+    () => ({
+      activeCatalogId,
+      searchMode,
+      projects: currentProjects,
+      activeProjectId,
+      customerMappings,
+      matchHistory,
+      crossReferences,
+      agentSteps,
+      playbooks,
+      activePlaybookId,
+      matchRules,
+      pricingSettings,
+      llmSettings,
+    }),
+    [
+      activeCatalogId,
+      searchMode,
+      currentProjects,
+      activeProjectId,
+      customerMappings,
+      matchHistory,
+      crossReferences,
+      agentSteps,
+      playbooks,
+      activePlaybookId,
+      matchRules,
+      pricingSettings,
+      llmSettings,
+    ]
+  );
+
+  useEffect(() => {
+    if (!workspaceReady) return undefined;
+    const timeout = setTimeout(() => {
+      saveWorkspaceState(workspaceState)
+        .then(refreshStorageInfo)
+        .catch((error) => setStorageError(`Could not save the workspace: ${error.message}`));
+    }, 400);
+    return () => clearTimeout(timeout);
+  }, [workspaceReady, workspaceState]);
+
+  useEffect(() => {
+    if (!workspaceReady || !catalogSearch || !clientSources.length || matchResult.indexing) return undefined;
+    const project = projects.find((entry) => entry.id === activeProjectId);
+    if (!project) return undefined;
+    const timeout = setTimeout(() => {
+      const runs = createMatchRuns({ project, sources: clientSources, catalogs: searchCatalogs, result: matchResult });
+      // Only a processed request file or changed catalog contents log new runs; switching catalogs or projects
+      // just refreshes runs already logged for the same request and catalogs.
+      const appendNew = matchRunPendingRef.current;
+      matchRunPendingRef.current = false;
+      setMatchHistory((prev) => recordMatchRuns(prev, runs, { appendNew }));
+    }, 1000);
+    return () => clearTimeout(timeout);
+  }, [workspaceReady, catalogSearch, clientSources, searchCatalogs, matchResult, projects, activeProjectId]);
+
+  const handleDemandExport = () => {
+    downloadDemandGaps(demandAnalysis, `demand-gaps-${new Date().toISOString().slice(0, 10)}.csv`);
+  };
+
+  const handleDemandClear = () => {
+    if (!window.confirm('Clear the matching history used for demand-gap analytics?')) return;
+    setMatchHistory([]);
+  };
+
+  const handleWorkspaceExport = () => {
+    const bundle = createWorkspaceBundle({ catalogs: catalogFiles, ...workspaceState });
+    downloadWorkspaceBundle(bundle, `product-search-workspace-${new Date().toISOString().slice(0, 10)}.json`);
+  };
+
+  const handleWorkspaceImport = async (event) => {
+    const [file] = event.target.files || [];
+    if (workspaceImportRef.current) {
+      workspaceImportRef.current.value = '';
+    }
+    if (!file) return;
+
+    try {
+      const { workspace, exportedAt } = parseWorkspaceBundle(await file.text());
+      setPendingImport({ name: file.name, exportedAt, workspace, summary: summarizeWorkspace(workspace) });
+      setStorageError('');
+    } catch (error) {
+      setPendingImport(null);
+      setStorageError(`Could not import ${file.name}: ${error.message}`);
+    }
+  };
+
+  const completeImport = (workspace) => {
+    aiAbortRef.current?.abort();
+    aiAbortRef.current = null;
+    applyWorkspace(workspace);
+    setExpandedCatalog(null);
+    setHistoryCatalog(null);
+    setPricingCatalog(null);
+    setQualityCatalog(null);
+    setBrowseClientRecords(false);
+    setShowClientQuality(false);
+    setPendingUploads([]);
+    setQualityReviews([]);
+    setUploadErrors([]);
+    setAiError('');
+    setPendingImport(null);
+  };
+
+  const handleImportMerge = () => {
+    completeImport(mergeWorkspaces({ catalogs: catalogFiles, ...workspaceState }, pendingImport.workspace));
+  };
+
+  const handleImportReplace = () => {
+    if (!window.confirm('Replace all catalogs, projects and playbook edits in this browser with the bundle?')) return;
+    completeImport(pendingImport.workspace);
+  };
+
+  const handleClearWorkspace = async () => {
+    if (!window.confirm('Clear all catalogs, projects and playbook edits saved in this browser?')) return;
+
+    try {
+      await clearWorkspace();
+      setStorageError('');
+    } catch (error) {
+      setStorageError(`Could not clear the workspace: ${error.message}`);
+      return;
+    }
+
+    savedCatalogsRef.current = [];
+    setCatalogFiles([]);
+    setActiveCatalogId(null);
+    setExpandedCatalog(null);
+    setHistoryCatalog(null);
+    setPricingCatalog(null);
+    setQualityCatalog(null);
+    setSearchMode('active');
+    const project = createProject();
+    setProjects([project]);
+    setActiveProjectId(project.id);
+    applyProject(project);
+    setCustomerMappings({});
+    setMatchHistory([]);
+    setCrossReferences([]);
+    setPendingUploads([]);
+    setQualityReviews([]);
+    setUploadErrors([]);
+    setAgentSteps(DEFAULT_AGENT_STEPS);
+    setPlaybooks(DEFAULT_PLAYBOOKS);
+    setActivePlaybookId(DEFAULT_PLAYBOOKS[0].id);
+    setPricingSettings(DEFAULT_PRICING_SETTINGS);
+    setLlmSettings(DEFAULT_LLM_SETTINGS);
+    setAiError('');
+    resetMatchRules(DEFAULT_MATCH_RULES);
+    setPendingImport(null);
+    refreshStorageInfo();
+  };
+
+  const commitUpload = (upload, mapping, report) => {
+    const quality = summarizeQuality(report);
+    if (upload.kind !== 'crossReference') matchRunPendingRef.current = true;
+
+    if (upload.kind === 'catalog') {
+      const entry = {
+        id: crypto.randomUUID(),
+        name: upload.name,
+        records: upload.records,
+        mapping,
+        quality,
+        pricing: defaultCatalogPricing(upload.records, mapping),
+        uploadedAt: new Date(),
+        includeInSearch: true,
+        revisions: [],
+      };
+      setCatalogFiles((prev) => [entry, ...prev]);
+      setActiveCatalogId((prev) => prev || entry.id);
+      return;
+    }
+
+    if (upload.kind === 'replace') {
+      setCatalogFiles((prev) =>
+        prev.map((entry) =>
+          entry.id === upload.catalogId
+            ? {
+                ...entry,
+                name: upload.name,
+                records: upload.records,
+                mapping,
+                quality,
+                uploadedAt: new Date(),
+                revisions: [snapshotRevision(entry), ...entry.revisions],
+              }
+            : entry
+        )
+      );
+      return;
+    }
+
+    if (upload.kind === 'crossReference') {
+      setCrossReferences((prev) => [
+        ...prev,
+        {
+          id: crypto.randomUUID(),
+          name: upload.name,
+          records: upload.records,
+          mapping,
+          quality,
+          uploadedAt: new Date(),
+        },
+      ]);
+      return;
+    }
+
+    setClientSources((prev) => [
+      ...prev,
+      {
+        id: crypto.randomUUID(),
+        name: upload.name,
+        records: upload.records,
+        mapping,
+        quality,
+        bomImport: upload.bomImport || null,
+      },
+    ]);
+  };
+
+  const reviewUpload = (upload, mapping) => {
+    const kind = upload.kind === 'replace' ? 'catalog' : upload.kind;
+    const report = validateRecords(upload.records, mapping, { kind, parseErrors: upload.parseErrors });
+    if (!countQualityIssues(report)) {
+      commitUpload(upload, mapping, report);
+      return;
+    }
+    setQualityReviews((prev) => [
+      ...prev,
+      { ...upload, id: crypto.randomUUID(), mapping, report, choices: defaultDuplicateChoices(report, kind) },
+    ]);
+  };
+
+  const handleQualityConfirm = (choices) => {
+    const [review] = qualityReviews;
+    const records = resolveDuplicates(review.records, review.report, choices);
+    commitUpload({ ...review, records }, review.mapping, review.report);
+    setQualityReviews((prev) => prev.slice(1));
+  };
+
+  const queueUploads = (uploads) => {
+    // Remembered mappings are keyed by upload kind and headers, and still go through the wizard for a check.
+    const queued = uploads.map((upload) => {
+      const headers = detectHeaders(upload.records);
+      const signature = headerSignature(headers, upload.kind === 'replace' ? 'catalog' : upload.kind);
+      const savedMapping = loadSavedMapping(signature);
+      return {
+        ...upload,
+        id: crypto.randomUUID(),
+        headers,
+        signature,
+        remembered: Boolean(savedMapping),
+        mapping: { ...suggestMapping(headers, upload.kind), ...(savedMapping || upload.bomImport?.mapping) },
+      };
     });
 
-    return { found, missing };
-  }, [activeCatalog, clientRecords]);
+    setPendingUploads((prev) => [...prev, ...queued]);
+  };
 
-  const matchStats = useMemo(() => {
-    const total = clientRecords.length;
-    const found = matchResult.found.length;
-    const missing = matchResult.missing.length;
-    const coverage = total ? Math.round((found / total) * 100) : 0;
-    return { total, found, missing, coverage };
-  }, [clientRecords.length, matchResult]);
+  const handleMappingConfirm = (mapping, remember) => {
+    const [upload] = pendingUploads;
+    if (remember) {
+      saveMapping(upload.signature, mapping);
+    }
+    reviewUpload(upload, mapping);
+    setPendingUploads((prev) => prev.slice(1));
+  };
 
-  const handleCatalogUpload = async (event) => {
-    const files = Array.from(event.target.files || []);
+  const chooseSheets = (request) =>
+    new Promise((resolve) => {
+      setSheetRequests((prev) => [...prev, { ...request, id: crypto.randomUUID(), resolve }]);
+    });
+
+  const resolveSheetRequest = (selection) => {
+    const [request] = sheetRequests;
+    request.resolve(selection);
+    setSheetRequests((prev) => prev.slice(1));
+  };
+
+  const readUpload = async (file) => {
+    const job = { id: crypto.randomUUID(), name: file.name, progress: 0, controller: new AbortController() };
+    setParseJobs((prev) => [...prev, job]);
+
+    try {
+      const parsed = await parseFileInBackground(file, {
+        chooseSheets,
+        signal: job.controller.signal,
+        onProgress: (progress) =>
+          setParseJobs((prev) => prev.map((entry) => (entry.id === job.id ? { ...entry, progress } : entry))),
+      });
+      if (parsed && !parsed.records.length) {
+        throw new Error('No rows with data were found.');
+      }
+      return parsed;
+    } catch (error) {
+      if (!(error instanceof ParseCancelledError)) {
+        setUploadErrors((prev) => [...prev, `Could not read ${file.name}: ${error.message}`]);
+      }
+      return null;
+    } finally {
+      setParseJobs((prev) => prev.filter((entry) => entry.id !== job.id));
+    }
+  };
+
+  const handleCatalogFiles = async (files) => {
     if (!files.length) return;
 
+    setUploadErrors([]);
     const uploads = await Promise.all(
-      files.map(async (file) => {
-        const records = await parseFile(file);
-        return {
-          id: crypto.randomUUID(),
-          name: file.name,
-          records,
-          uploadedAt: new Date(),
-        };
-      })
+      files.map(async (file) => ({ kind: 'catalog', name: file.name, ...(await readUpload(file)) }))
     );
 
-    setCatalogFiles((prev) => [...uploads, ...prev]);
-    if (!activeCatalogId && uploads.length > 0) {
-      setActiveCatalogId(uploads[0].id);
-    }
+    queueUploads(uploads.filter((upload) => upload.records));
 
     if (catalogUploadRef.current) {
       catalogUploadRef.current.value = '';
@@ -194,66 +752,187 @@ function App() {
   };
 
   const handleCatalogReplace = async (file, catalogId) => {
-    const records = await parseFile(file);
-    setCatalogFiles((prev) =>
-      prev.map((entry) =>
-        entry.id === catalogId
-          ? { ...entry, name: file.name, records, uploadedAt: new Date() }
-          : entry
-      )
-    );
+    setUploadErrors([]);
+    const parsed = await readUpload(file);
+    if (!parsed) return;
+    queueUploads([{ kind: 'replace', catalogId, name: file.name, ...parsed }]);
   };
 
-  const handleClientUpload = async (event) => {
+  const handleCrossReferenceUpload = async (event) => {
     const files = Array.from(event.target.files || []);
     if (!files.length) return;
 
-    const combinedRecords = [];
+    setUploadErrors([]);
+    const uploads = [];
 
     for (const file of files) {
-      const records = await parseFile(file);
-      combinedRecords.push(...records);
+      const parsed = await readUpload(file);
+      if (parsed) {
+        uploads.push({ kind: 'crossReference', name: file.name, ...parsed });
+      }
     }
 
-    setClientRecords(combinedRecords);
+    queueUploads(uploads);
+    if (crossReferenceUploadRef.current) {
+      crossReferenceUploadRef.current.value = '';
+    }
+  };
+
+  const handleClientFiles = async (files) => {
+    if (!files.length) return;
+
+    setUploadErrors([]);
+    const uploads = [];
+
+    for (const file of files) {
+      const parsed = await readUpload(file);
+      if (parsed) {
+        uploads.push({ kind: 'client', name: file.name, ...parsed, ...importEdaBom(parsed.records) });
+      }
+    }
+
+    queueUploads(uploads);
     if (clientUploadRef.current) {
       clientUploadRef.current.value = '';
     }
   };
 
-  const downloadReport = () => {
-    const header = ['Requested Part', 'Status', 'Catalog Match'];
-    const rows = clientRecords.map((record) => {
-      const identifier = extractIdentifier(record);
-      const foundEntry = matchResult.found.find(
-        (item) => extractIdentifier(item.requested) === identifier
-      );
-      const status = foundEntry ? 'Available' : 'Missing';
-      const match = foundEntry ? JSON.stringify(foundEntry.catalog) : '';
-      return [identifier, status, match];
-    });
+  const handleClientSourceRemove = (sourceId) => {
+    setClientSources((prev) => prev.filter((source) => source.id !== sourceId));
+  };
+
+  const openProject = (project, nextProjects) => {
+    aiAbortRef.current?.abort();
+    aiAbortRef.current = null;
+    setProjects(nextProjects);
+    setActiveProjectId(project.id);
+    applyProject(project);
+    setPendingUploads((prev) => prev.filter((upload) => upload.kind !== 'client'));
+    setQualityReviews((prev) => prev.filter((review) => review.kind !== 'client'));
+    setBrowseClientRecords(false);
+    setShowClientQuality(false);
+    setAiError('');
+  };
+
+  const handleProjectSelect = (projectId) => {
+    const project = currentProjects.find((entry) => entry.id === projectId);
+    if (project) openProject(project, currentProjects);
+  };
 
-    const csvContent = [header, ...rows]
-      .map((row) => row.map((cell) => `"${cell ?? ''}"`).join(','))
-      .join('\n');
+  const handleProjectCreate = (details) => {
+    const project = createProject(details);
+    openProject(project, [...currentProjects, project]);
+  };
+
+  const handleProjectDuplicate = (projectId) => {
+    const project = duplicateProject(currentProjects.find((entry) => entry.id === projectId));
+    openProject(project, [...currentProjects, project]);
+  };
+
+  const handleProjectDelete = (projectId) => {
+    const project = currentProjects.find((entry) => entry.id === projectId);
+    if (!project || !window.confirm(`Delete the "${projectName(project)}" project and its request files?`)) return;
+
+    const remaining = currentProjects.filter((entry) => entry.id !== projectId);
+    if (projectId !== activeProjectId) {
+      setProjects(remaining);
+      return;
+    }
+    const next = remaining[0] || createProject();
+    openProject(next, remaining.length ? remaining : [next]);
+  };
+
+  const handleProjectChange = (projectId, changes) => {
+    const project = projects.find((entry) => entry.id === projectId);
+    setProjects((prev) =>
+      prev.map((entry) => (entry.id === projectId ? { ...entry, ...changes, updatedAt: new Date() } : entry))
+    );
+    if (projectId !== activeProjectId) return;
+
+    if ('customer' in changes && proposalDetails.customer === project.customer) {
+      setProposalDetails((prev) => ({ ...prev, customer: changes.customer }));
+    }
+    if ('rfqNumber' in changes && proposalDetails.reference === project.rfqNumber) {
+      setProposalDetails((prev) => ({ ...prev, reference: changes.rfqNumber }));
+    }
+  };
 
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.setAttribute('download', 'product-search-report.csv');
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+  const handleResolve = (line, decision) => {
+    const resolution = createResolution({ identifier: line.identifier, ...decision, projectId: activeProjectId });
+    setCustomerMappings((prev) => saveResolution(prev, activeCustomer, resolution, matchRules));
   };
 
+  const handleResolutionUndo = (identifier) => {
+    setCustomerMappings((prev) => removeResolution(prev, activeCustomer, identifier, matchRules));
+  };
+
+  const handleProjectCompare = async (baseId, revisedId) => {
+    if (!catalogSearch) {
+      throw new Error('Select a catalog and wait for its index before comparing coverage.');
+    }
+    const find = (projectId) => currentProjects.find((project) => project.id === projectId);
+    return compareProjectCoverage(catalogSearch, find(baseId), find(revisedId), crossIndex, resolutions);
+  };
+
+  const proposalLines = () =>
+    buildProposalLines(
+      clientRecords,
+      matchResult,
+      proposalColumns ?? defaultProposalColumns,
+      acceptedRecommendations(aiRecommendations)
+    );
+
+  const downloadProposal = () => {
+    setProposalError('');
+    try {
+      const workbook = buildProposalWorkbook({ details: proposalDetails, lines: proposalLines(), stats: matchStats });
+      const name = proposalDetails.reference || proposalDetails.customer || 'product-search';
+      downloadWorkbook(workbook, `${name.replace(/[^\w.-]+/g, '-')}-proposal.xlsx`);
+    } catch (error) {
+      setProposalError(`Could not build the proposal: ${error.message}`);
+    }
+  };
+
+  const printProposal = () => {
+    setProposalError('');
+    try {
+      printQuote(
+        buildQuoteHtml({
+          details: proposalDetails,
+          lines: proposalLines(),
+          stats: matchStats,
+          aiBrief,
+          catalogColumns: proposalColumns ?? defaultProposalColumns,
+        })
+      );
+    } catch (error) {
+      setProposalError(error.message);
+    }
+  };
+
+  const briefPrompt = useMemo(
+    () =>
+      buildBriefPrompt({
+        steps: agentSteps,
+        catalogs: searchCatalogs,
+        clientRecords,
+        matchStats,
+        matchResult,
+        recommendations: aiRecommendations,
+      }),
+    [agentSteps, searchCatalogs, clientRecords, matchStats, matchResult, aiRecommendations]
+  );
+
   const runAiBrief = async () => {
     setAiError('');
     setAiLoading(true);
 
-    if (!activeCatalog) {
-      setAiError('Select an active catalog before requesting an AI brief.');
+    if (!searchCatalogs.length) {
+      setAiError(
+        searchMode === 'combined'
+          ? 'Include at least one catalog in the combined search before requesting an AI brief.'
+          : 'Select an active catalog before requesting an AI brief.'
+      );
       setAiLoading(false);
       return;
     }
@@ -264,72 +943,232 @@ function App() {
       return;
     }
 
-    const apiKey = import.meta.env.VITE_OPENAI_API_KEY;
-    if (!apiKey) {
-      setAiError('Set VITE_OPENAI_API_KEY in your environment to enable AI analysis.');
+    if (!catalogSearch || matchResult.indexing) {
+      setAiError('Wait for the catalog index to finish before requesting an AI brief.');
       setAiLoading(false);
       return;
     }
 
-    const systemPrompt = `You are an AI sourcing specialist for an electronics connector manufacturer. \n` +
-      `Combine catalog intelligence with the requested part list to produce a short, actionable brief. \n` +
-      `Highlight coverage percentage, list top available matches with advantages, and recommend next actions for missing parts.`;
+    const controller = new AbortController();
+    aiAbortRef.current = controller;
+    const provider = createLlmProvider(llmSettings);
+    const batches = batchParts(recommendationParts(matchResult.missing));
+    const previous = aiRecommendations;
+    let recommendations = [];
+    setAiBrief('');
+    setAiRecommendations([]);
 
     try {
-      const response = await fetch('https://api.openai.com/v1/responses', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          model: 'gpt-4o-mini',
-          reasoning: { effort: 'medium' },
-          input: [
-            {
-              role: 'system',
-              content: systemPrompt,
-            },
-            {
-              role: 'user',
-              content: `Catalog sample: ${JSON.stringify(activeCatalog.records.slice(0, 10))}. \n` +
-                `Client request sample: ${JSON.stringify(clientRecords.slice(0, 10))}. \n` +
-                `Coverage: ${matchStats.coverage}% with ${matchStats.found} of ${matchStats.total} components matched. \n` +
-                `Missing identifiers: ${matchResult.missing
-                  .slice(0, 10)
-                  .map((item) => extractIdentifier(item.record) || 'Unidentified')
-                  .join(', ')}`,
-            },
-          ],
-        }),
-      });
-
-      const data = await response.json();
-      if (!response.ok) {
-        throw new Error(data.error?.message || 'Failed to generate AI brief.');
+      for (const [index, parts] of batches.entries()) {
+        setAiProgress({ done: index, total: batches.length });
+        const batch = attachCandidates(catalogSearch, parts);
+        const text = await provider.stream(buildRecommendationPrompt(batch, agentSteps), {
+          signal: controller.signal,
+        });
+        const parsed = mergeRecommendationDecisions(previous, parseRecommendations(text, batch));
+        recommendations = [...recommendations, ...parsed];
+        setAiRecommendations(recommendations);
       }
+      setAiProgress(null);
 
-      const textOutput =
-        data.output_text ||
-        data.choices?.[0]?.message?.content
-          ?.map((chunk) => chunk.text)
-          .join('') ||
-        '';
-
-      setAiBrief(textOutput);
+      const prompt = buildBriefPrompt({
+        steps: agentSteps,
+        catalogs: searchCatalogs,
+        clientRecords,
+        matchStats,
+        matchResult,
+        recommendations,
+      });
+      const text = await provider.stream(prompt, {
+        signal: controller.signal,
+        onToken: (_, partial) => setAiBrief(partial),
+      });
+      setAiBrief(text);
     } catch (error) {
-      setAiError(error.message);
+      if (aiAbortRef.current !== controller) return;
+      const reviewed = new Set(recommendations.map((item) => item.identifier));
+      setAiRecommendations([...recommendations, ...previous.filter((item) => !reviewed.has(item.identifier))]);
+      setAiError(error instanceof LlmCancelledError ? 'Generation cancelled. Retry to start again.' : error.message);
     } finally {
+      if (aiAbortRef.current === controller) {
+        aiAbortRef.current = null;
+      }
+      setAiProgress(null);
       setAiLoading(false);
     }
   };
 
-  const handleAgentStepEdit = (index, field, value) => {
-    setAgentSteps((prev) =>
-      prev.map((step, idx) => (idx === index ? { ...step, [field]: value } : step))
+  const handleRecommendationDecision = (identifier, status) => {
+    setAiRecommendations((prev) => prev.map((item) => (item.identifier === identifier ? { ...item, status } : item)));
+  };
+
+  const cancelAiBrief = () => {
+    aiAbortRef.current?.abort();
+  };
+
+  const handleCatalogRollback = (catalogId, revisionId) => {
+    matchRunPendingRef.current = true;
+    setCatalogFiles((prev) =>
+      prev.map((entry) => {
+        if (entry.id !== catalogId) return entry;
+        const revision = entry.revisions.find((item) => item.id === revisionId);
+        if (!revision) return entry;
+        return {
+          ...entry,
+          name: revision.name,
+          records: revision.records,
+          mapping: revision.mapping,
+          quality: revision.quality,
+          uploadedAt: revision.uploadedAt,
+          revisions: [snapshotRevision(entry), ...entry.revisions.filter((item) => item.id !== revisionId)],
+        };
+      })
     );
   };
 
+  const getRevisionCoverage = async (catalog, revision) => {
+    const total = clientRecords.length;
+    const coverageFor = async (entry) => {
+      if (!total) return 0;
+      const index = await ensureIndex(entry.records, entry.mapping, matchRules);
+      const catalogIndex = createCatalogSearch([catalogLayer(entry, index)], matchRules);
+      const found = clientSources.reduce(
+        (count, source) =>
+          count + matchRecords(catalogIndex, source.records, source.mapping).found.filter(isConfirmedMatch).length,
+        0
+      );
+      return Math.round((found / total) * 100);
+    };
+
+    return {
+      total,
+      revision: await coverageFor(revision),
+      current: await coverageFor(catalog),
+    };
+  };
+
+  const handleCatalogMove = (catalogId, offset) => {
+    setCatalogFiles((prev) => {
+      const from = prev.findIndex((entry) => entry.id === catalogId);
+      const to = from + offset;
+      if (from === -1 || to < 0 || to >= prev.length) return prev;
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  };
+
+  const handleCatalogInclude = (catalogId) => {
+    setCatalogFiles((prev) =>
+      prev.map((entry) =>
+        entry.id === catalogId ? { ...entry, includeInSearch: !entry.includeInSearch } : entry
+      )
+    );
+  };
+
+  const handleServerImport = async () => {
+    setServerBusy(true);
+    setServerError('');
+    setServerMessage('');
+    try {
+      const known = new Set(catalogFiles.map((entry) => entry.serverId).filter(Boolean));
+      const summaries = (await apiClient.listCatalogs()).filter((summary) => !known.has(summary.id));
+      const imported = await Promise.all(summaries.map((summary) => apiClient.fetchCatalog(summary.id)));
+      const entries = imported.map((catalog) => ({
+        id: crypto.randomUUID(),
+        serverId: catalog.id,
+        name: catalog.name,
+        records: catalog.records,
+        mapping: catalog.mapping,
+        pricing: catalog.pricing,
+        uploadedAt: new Date(catalog.uploadedAt),
+        includeInSearch: true,
+        revisions: [],
+      }));
+      if (entries.length) {
+        matchRunPendingRef.current = true;
+        setCatalogFiles((prev) => [...entries, ...prev]);
+        setActiveCatalogId((prev) => prev || entries[0].id);
+      }
+      setServerMessage(
+        entries.length
+          ? `Imported ${entries.length} catalog(s) from the server.`
+          : 'Every server catalog is already in this workspace.'
+      );
+    } catch (error) {
+      setServerError(`Could not import catalogs: ${error.message}`);
+    } finally {
+      setServerBusy(false);
+    }
+  };
+
+  const handleServerPublish = async (catalogId) => {
+    const catalog = catalogFiles.find((entry) => entry.id === catalogId);
+    if (!catalog) return;
+    setServerBusy(true);
+    setServerError('');
+    setServerMessage('');
+    try {
+      const published = await apiClient.uploadCatalog(catalog);
+      setCatalogFiles((prev) =>
+        prev.map((entry) => (entry.id === catalogId ? { ...entry, serverId: published.id } : entry))
+      );
+      if (catalog.serverId) {
+        await apiClient.deleteCatalog(catalog.serverId).catch(() => null);
+      }
+      setServerMessage(`Published ${catalog.name} (${published.rowCount} rows) to the server.`);
+    } catch (error) {
+      setServerError(`Could not publish ${catalog.name}: ${error.message}`);
+    } finally {
+      setServerBusy(false);
+    }
+  };
+
+  const handleCatalogPricingChange = (catalogId, pricing) => {
+    setCatalogFiles((prev) => prev.map((entry) => (entry.id === catalogId ? { ...entry, pricing } : entry)));
+  };
+
+  const handleMatchRuleChange = (field, value) => {
+    setMatchRules((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleMatchRuleTextChange = (field, text) => {
+    setMatchRuleText((prev) => ({ ...prev, [field]: text }));
+  };
+
+  // Strip rules apply on blur: every change re-indexes the searched catalogs in the worker.
+  const commitMatchRuleList = (field) => {
+    const entries = parseRuleList(matchRuleText[field]);
+    if (entries.join(',') !== matchRules[field].join(',')) handleMatchRuleChange(field, entries);
+  };
+
+  const handlePlaybookSelect = (playbookId) => {
+    const playbook = playbooks.find((entry) => entry.id === playbookId);
+    if (!playbook) return;
+    setActivePlaybookId(playbook.id);
+    setAgentSteps(playbook.steps);
+  };
+
+  const handlePlaybookSave = (name, playbookId) => {
+    if (playbookId) {
+      setPlaybooks((prev) =>
+        prev.map((entry) => (entry.id === playbookId ? { ...entry, steps: agentSteps } : entry))
+      );
+      return;
+    }
+    const playbook = { id: crypto.randomUUID(), name, steps: agentSteps };
+    setPlaybooks((prev) => [...prev, playbook]);
+    setActivePlaybookId(playbook.id);
+  };
+
+  const handlePlaybookDelete = (playbookId) => {
+    const playbook = playbooks.find((entry) => entry.id === playbookId);
+    if (!playbook || !window.confirm(`Delete the "${playbook.name}" playbook template?`)) return;
+    setPlaybooks((prev) => prev.filter((entry) => entry.id !== playbookId));
+    setActivePlaybookId(null);
+  };
+
   return (
     <div className="app-shell">
       <header className="hero">
@@ -359,6 +1198,105 @@ function App() {
       </header>
 
       <main className="layout">
+        <div className="workspace-bar">
+          <div className="workspace-bar__status">
+            <span>{workspaceReady ? 'Workspace saved in this browser' : 'Restoring workspace…'}</span>
+            {storageInfo && (
+              <>
+                <strong>
+                  {formatBytes(storageInfo.usage)} used of {formatBytes(storageInfo.quota)}
+                </strong>
+                <div className="coverage-bar">
+                  <div
+                    className="coverage-bar__fill"
+                    style={{
+                      width: `${storageInfo.quota ? Math.min((storageInfo.usage / storageInfo.quota) * 100, 100) : 0}%`,
+                    }}
+                  />
+                </div>
+              </>
+            )}
+          </div>
+          <div className="panel__actions">
+            <button className="button button--ghost" onClick={handleWorkspaceExport} disabled={!workspaceReady}>
+              Export workspace
+            </button>
+            <button
+              className="button button--ghost"
+              onClick={() => workspaceImportRef.current?.click()}
+              disabled={!workspaceReady}
+            >
+              Import workspace
+            </button>
+            <input ref={workspaceImportRef} type="file" accept=".json" hidden onChange={handleWorkspaceImport} />
+            <button
+              className="button button--ghost button--danger"
+              onClick={handleClearWorkspace}
+              disabled={!workspaceReady}
+            >
+              Clear workspace
+            </button>
+          </div>
+        </div>
+        {storageError && <div className="alert alert--error">{storageError}</div>}
+        {pendingImport && (
+          <WorkspaceImport
+            pending={pendingImport}
+            onMerge={handleImportMerge}
+            onReplace={handleImportReplace}
+            onCancel={() => setPendingImport(null)}
+          />
+        )}
+        {processingError && <div className="alert alert--error">{processingError}</div>}
+        {uploadErrors.map((message, index) => (
+          <div key={index} className="alert alert--error">
+            {message}
+          </div>
+        ))}
+        {parseJobs.length > 0 && (
+          <div className="parse-jobs">
+            {parseJobs.map((job) => (
+              <div key={job.id} className="parse-job">
+                <div className="parse-job__label">
+                  <span>Processing {job.name}</span>
+                  <strong>{Math.round(job.progress * 100)}%</strong>
+                </div>
+                <div className="coverage-bar">
+                  <div className="coverage-bar__fill" style={{ width: `${Math.round(job.progress * 100)}%` }} />
+                </div>
+                <button className="button button--ghost button--danger" onClick={() => job.controller.abort()}>
+                  Cancel
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+        {sheetRequests.length > 0 && (
+          <SheetSelector
+            key={sheetRequests[0].id}
+            request={sheetRequests[0]}
+            onConfirm={resolveSheetRequest}
+            onCancel={() => resolveSheetRequest(null)}
+          />
+        )}
+        {pendingUploads.length > 0 && (
+          <ColumnMappingWizard
+            key={pendingUploads[0].id}
+            upload={pendingUploads[0]}
+            queueLength={pendingUploads.length}
+            onConfirm={handleMappingConfirm}
+            onCancel={() => setPendingUploads((prev) => prev.slice(1))}
+          />
+        )}
+        {qualityReviews.length > 0 && (
+          <QualityReview
+            key={qualityReviews[0].id}
+            review={qualityReviews[0]}
+            queueLength={qualityReviews.length}
+            onConfirm={handleQualityConfirm}
+            onCancel={() => setQualityReviews((prev) => prev.slice(1))}
+          />
+        )}
         <section className="panel">
           <div className="panel__header">
             <h2>Catalog Management</h2>
@@ -371,11 +1309,79 @@ function App() {
             <input
               ref={catalogUploadRef}
               type="file"
-              accept=".csv,.xls,.xlsx"
+              accept={UPLOAD_ACCEPT}
               multiple
               hidden
-              onChange={handleCatalogUpload}
+              onChange={(event) => handleCatalogFiles(Array.from(event.target.files || []))}
             />
+            <button className="button button--ghost" onClick={handleServerImport} disabled={serverBusy}>
+              {serverBusy ? 'Contacting server…' : 'Import from server'}
+            </button>
+            <div className="segmented" role="group" aria-label="Catalog search mode">
+              <button
+                className={`segmented__option ${searchMode === 'active' ? 'segmented__option--selected' : ''}`}
+                onClick={() => setSearchMode('active')}
+              >
+                Active catalog
+              </button>
+              <button
+                className={`segmented__option ${searchMode === 'combined' ? 'segmented__option--selected' : ''}`}
+                onClick={() => setSearchMode('combined')}
+              >
+                All included catalogs
+              </button>
+            </div>
+          </div>
+          <UploadDropZone
+            label="Drop catalog files here"
+            hint="CSV, TSV, JSON, text or Excel"
+            pasteName="Pasted catalog"
+            onFiles={handleCatalogFiles}
+          />
+          {serverError && <div className="alert alert--error">{serverError}</div>}
+          {serverMessage && <div className="alert">{serverMessage}</div>}
+          {searchMode === 'combined' && catalogFiles.length > 0 && (
+            <p className="catalog-card__hint">
+              Requests are matched against every included catalog. When a part appears in several files, the
+              catalog higher in this list wins.
+            </p>
+          )}
+          <div className="cross-references">
+            <div className="cross-references__header">
+              <div>
+                <h3>Cross-references</h3>
+                <p>Map competitor, manufacturer or obsolete part numbers to our catalog parts.</p>
+              </div>
+              <button className="button button--ghost" onClick={() => crossReferenceUploadRef.current?.click()}>
+                Upload cross-reference
+              </button>
+              <input
+                ref={crossReferenceUploadRef}
+                type="file"
+                accept={UPLOAD_ACCEPT}
+                multiple
+                hidden
+                onChange={handleCrossReferenceUpload}
+              />
+            </div>
+            {crossReferences.length > 0 && (
+              <ul className="cross-references__list">
+                {crossReferences.map((file) => (
+                  <li key={file.id}>
+                    <span>
+                      {file.name} • {file.records.length} mappings
+                      {file.quality ? ` • ${countQualityIssues(file.quality)} quality issue(s)` : ''}
+                    </span>
+                    <button
+                      className="button button--ghost button--danger"
+                      onClick={() => setCrossReferences((prev) => prev.filter((entry) => entry.id !== file.id))}
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
           <div className="catalog-list">
             {catalogFiles.length === 0 && (
@@ -384,20 +1390,77 @@ function App() {
                 <p>Drop in your master connector database to begin matching requests.</p>
               </div>
             )}
-            {catalogFiles.map((file) => {
+            {catalogFiles.map((file, position) => {
               const isActive = file.id === activeCatalogId;
               const isExpanded = expandedCatalog === file.id;
+              const isHistoryOpen = historyCatalog === file.id;
+              const isPricingOpen = pricingCatalog === file.id;
+              const isQualityOpen = qualityCatalog === file.id;
               return (
                 <article key={file.id} className={`catalog-card ${isActive ? 'catalog-card--active' : ''}`}>
                   <header className="catalog-card__header">
                     <div>
                       <h3>{file.name}</h3>
-                      <p>{file.records.length} parts • Updated {formatDate(file.uploadedAt)}</p>
+                      <p>
+                        {file.records.length} parts • Updated {formatDate(file.uploadedAt)}
+                        {searchMode === 'combined' &&
+                          (file.includeInSearch ? ` • Priority ${position + 1}` : ' • Excluded from search')}
+                      </p>
                     </div>
                     <div className="catalog-card__actions">
+                      {searchMode === 'combined' && (
+                        <>
+                          <button
+                            className="button button--ghost"
+                            aria-label="Raise priority"
+                            disabled={position === 0}
+                            onClick={() => handleCatalogMove(file.id, -1)}
+                          >
+                            ↑
+                          </button>
+                          <button
+                            className="button button--ghost"
+                            aria-label="Lower priority"
+                            disabled={position === catalogFiles.length - 1}
+                            onClick={() => handleCatalogMove(file.id, 1)}
+                          >
+                            ↓
+                          </button>
+                          <button className="button button--ghost" onClick={() => handleCatalogInclude(file.id)}>
+                            {file.includeInSearch ? 'Included' : 'Excluded'}
+                          </button>
+                        </>
+                      )}
                       <button className="button button--ghost" onClick={() => setExpandedCatalog(isExpanded ? null : file.id)}>
                         {isExpanded ? 'Hide' : 'Check'}
                       </button>
+                      <button
+                        className="button button--ghost"
+                        onClick={() => setHistoryCatalog(isHistoryOpen ? null : file.id)}
+                      >
+                        History ({file.revisions.length})
+                      </button>
+                      <button
+                        className="button button--ghost"
+                        onClick={() => setPricingCatalog(isPricingOpen ? null : file.id)}
+                      >
+                        Pricing ({file.pricing.breaks.length})
+                      </button>
+                      {file.quality && (
+                        <button
+                          className="button button--ghost"
+                          onClick={() => setQualityCatalog(isQualityOpen ? null : file.id)}
+                        >
+                          Quality ({countQualityIssues(file.quality)})
+                        </button>
+                      )}
+                      <button
+                        className="button button--ghost"
+                        onClick={() => handleServerPublish(file.id)}
+                        disabled={serverBusy}
+                      >
+                        {file.serverId ? 'Republish' : 'Publish'}
+                      </button>
                       <button className="button button--ghost" onClick={() => setActiveCatalogId(file.id)}>
                         {isActive ? 'Active' : 'Activate'}
                       </button>
@@ -412,7 +1475,7 @@ function App() {
                           updateUploadRef.current[file.id] = el;
                         }}
                         type="file"
-                        accept=".csv,.xls,.xlsx"
+                        accept={UPLOAD_ACCEPT}
                         hidden
                         onChange={(event) => {
                           const replacement = event.target.files?.[0];
@@ -437,21 +1500,30 @@ function App() {
                   </header>
                   {isExpanded && (
                     <div className="catalog-card__body">
-                      <div className="catalog-card__grid">
-                        {file.records.slice(0, 5).map((record, index) => (
-                          <div key={index} className="catalog-record">
-                            {Object.entries(record).map(([key, value]) => (
-                              <div key={key}>
-                                <span>{key}</span>
-                                <strong>{value}</strong>
-                              </div>
-                            ))}
-                          </div>
-                        ))}
-                      </div>
-                      <p className="catalog-card__hint">
-                        Showing a sample of {Math.min(file.records.length, 5)} of {file.records.length} records.
-                      </p>
+                      <RecordBrowser records={file.records} label="parts" />
+                    </div>
+                  )}
+                  {isHistoryOpen && (
+                    <div className="catalog-card__body">
+                      <CatalogRevisionHistory
+                        catalog={file}
+                        onRollback={handleCatalogRollback}
+                        getCoverage={(revision) => getRevisionCoverage(file, revision)}
+                      />
+                    </div>
+                  )}
+                  {isPricingOpen && (
+                    <div className="catalog-card__body">
+                      <CatalogPricingEditor
+                        catalog={file}
+                        currencies={pricingSettings.rates.map((rate) => rate.code).filter(Boolean)}
+                        onChange={handleCatalogPricingChange}
+                      />
+                    </div>
+                  )}
+                  {isQualityOpen && (
+                    <div className="catalog-card__body">
+                      <QualityReport report={file.quality} />
                     </div>
                   )}
                 </article>
@@ -460,10 +1532,25 @@ function App() {
           </div>
         </section>
 
+        <ProjectWorkspaces
+          projects={currentProjects}
+          activeProjectId={activeProjectId}
+          onSelect={handleProjectSelect}
+          onCreate={handleProjectCreate}
+          onDuplicate={handleProjectDuplicate}
+          onDelete={handleProjectDelete}
+          onChange={handleProjectChange}
+          onCompare={handleProjectCompare}
+        />
+
         <section className="panel">
           <div className="panel__header">
             <h2>Client Request Intake</h2>
-            <p>Import the bill of materials or requested connector list from customers.</p>
+            <p>
+              Import the bill of materials or requested connector list for{' '}
+              {projectName(currentProjects.find((project) => project.id === activeProjectId))}. Each upload adds a
+              request file to the project.
+            </p>
           </div>
           <div className="panel__actions">
             <button className="button" onClick={() => clientUploadRef.current?.click()}>
@@ -472,23 +1559,119 @@ function App() {
             <input
               ref={clientUploadRef}
               type="file"
-              accept=".csv,.xls,.xlsx"
+              accept={UPLOAD_ACCEPT}
               multiple
               hidden
-              onChange={handleClientUpload}
+              onChange={(event) => handleClientFiles(Array.from(event.target.files || []))}
             />
-            <button className="button button--secondary" onClick={downloadReport} disabled={!clientRecords.length}>
-              Download matched report
+            <button
+              className="button button--ghost"
+              onClick={() => setBrowseClientRecords((prev) => !prev)}
+              disabled={!clientRecords.length}
+            >
+              {browseClientRecords ? 'Hide request list' : 'Browse request list'}
             </button>
+            <button
+              className="button button--ghost"
+              onClick={() => setShowClientQuality((prev) => !prev)}
+              disabled={!clientSources.some((source) => source.quality)}
+            >
+              {showClientQuality ? 'Hide data quality' : 'Data quality'}
+            </button>
+          </div>
+          <UploadDropZone
+            label="Drop request files here"
+            hint="CSV, TSV, JSON, text or Excel • KiCad and Altium BOM exports are grouped by part automatically"
+            pasteName="Pasted request"
+            onFiles={handleClientFiles}
+          />
+          {clientSources.length > 0 && (
+            <ul className="request-files">
+              {clientSources.map((source) => (
+                <li key={source.id}>
+                  <span>{source.name}</span>
+                  <small>
+                    {source.records.length} lines
+                    {source.bomImport ? ` • ${describeBomImport(source.bomImport)}` : ''}
+                  </small>
+                  <button
+                    className="button button--ghost button--danger"
+                    onClick={() => handleClientSourceRemove(source.id)}
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {browseClientRecords && clientRecords.length > 0 && (
+            <RecordBrowser records={clientRecords} label="requested lines" />
+          )}
+          {showClientQuality &&
+            clientSources
+              .filter((source) => source.quality)
+              .map((source) => (
+                <div key={source.id} className="quality-source">
+                  <h3>
+                    {source.name} • {countQualityIssues(source.quality)} issue(s)
+                  </h3>
+                  <QualityReport report={source.quality} />
+                </div>
+              ))}
+          <div className="match-rules">
+            <label>
+              <span>Strip prefixes</span>
+              <input
+                value={matchRuleText.prefixes}
+                placeholder="e.g. ACME-, X"
+                onChange={(event) => handleMatchRuleTextChange('prefixes', event.target.value)}
+                onBlur={() => commitMatchRuleList('prefixes')}
+              />
+            </label>
+            <label>
+              <span>Strip suffixes</span>
+              <input
+                value={matchRuleText.suffixes}
+                onChange={(event) => handleMatchRuleTextChange('suffixes', event.target.value)}
+                onBlur={() => commitMatchRuleList('suffixes')}
+              />
+            </label>
+            <label>
+              <span>Max edit distance</span>
+              <input
+                type="number"
+                min={0}
+                max={5}
+                value={matchRules.maxDistance}
+                onChange={(event) => handleMatchRuleChange('maxDistance', Number(event.target.value) || 0)}
+              />
+            </label>
+            <label>
+              <span>Min fuzzy confidence</span>
+              <input
+                type="number"
+                min={50}
+                max={100}
+                step={5}
+                value={Math.round(matchRules.minConfidence * 100)}
+                onChange={(event) => handleMatchRuleChange('minConfidence', (Number(event.target.value) || 0) / 100)}
+              />
+            </label>
           </div>
           <div className="stats-cards">
             <div className="stats-card">
               <span>Total components</span>
               <strong>{matchStats.total}</strong>
             </div>
+            {MATCH_TIERS.map((tier) => (
+              <div key={tier} className="stats-card">
+                <span>{MATCH_TIER_LABELS[tier]} matches</span>
+                <strong>{matchStats.tiers[tier]}</strong>
+              </div>
+            ))}
             <div className="stats-card">
-              <span>Matched</span>
-              <strong>{matchStats.found}</strong>
+              <span>Alternates proposed</span>
+              <strong>{matchStats.alternates}</strong>
             </div>
             <div className="stats-card">
               <span>Missing</span>
@@ -500,88 +1683,252 @@ function App() {
               <div className="coverage-bar">
                 <div className="coverage-bar__fill" style={{ width: `${matchStats.coverage}%` }} />
               </div>
+              {matchStats.unconfirmed > 0 && <small>{matchStats.unconfirmed} fuzzy matches to confirm</small>}
+            </div>
+            <div className="stats-card">
+              <span>Healthy coverage</span>
+              <strong>{matchStats.healthyCoverage}%</strong>
+              <div className="coverage-bar">
+                <div className="coverage-bar__fill" style={{ width: `${matchStats.healthyCoverage}%` }} />
+              </div>
+              <small>
+                {matchStats.atRiskCoverage}% at risk • {matchStats.atRisk} NRND, last time buy or obsolete
+              </small>
+            </div>
+            <div className="stats-card">
+              <span>Quantity coverage</span>
+              <strong>{matchStats.quantityCoverage}%</strong>
+              <div className="coverage-bar">
+                <div className="coverage-bar__fill" style={{ width: `${matchStats.quantityCoverage}%` }} />
+              </div>
+              <small>
+                {matchStats.coveredUnits} of {matchStats.requestedUnits} units from stock
+                {matchStats.unknownStockUnits > 0 && ` • ${matchStats.unknownStockUnits} with unknown stock`}
+              </small>
+            </div>
+            <div className="stats-card">
+              <span>Quote total</span>
+              <strong>{formatMoney(matchStats.pricing.total, matchStats.pricing.currency)}</strong>
+              <small>
+                {Object.entries(matchStats.pricing.tiers)
+                  .map(([tier, count]) => `${tier} × ${count}`)
+                  .join(' • ') || 'No price tiers applied'}
+                {matchStats.pricing.unpriced > 0 && ` • ${matchStats.pricing.unpriced} unpriced`}
+              </small>
             </div>
           </div>
           <div className="split-grid">
             <div className="panel-subcard">
               <h3>Available matches</h3>
+              {matchResult.found.length > 0 && (
+                <div className="availability-summary">
+                  {AVAILABILITY_STATUSES.filter((status) => matchStats.availability[status] > 0).map((status) => (
+                    <em key={status} className={`availability-badge availability-badge--${status}`}>
+                      {AVAILABILITY_LABELS[status]} {matchStats.availability[status]}
+                    </em>
+                  ))}
+                </div>
+              )}
               {matchResult.found.length === 0 ? (
-                <p className="empty-copy">Matches will appear here once a catalog and request list are uploaded.</p>
+                <p className="empty-copy">
+                  {matchResult.indexing
+                    ? 'Indexing catalogs in the background…'
+                    : 'Matches will appear here once a catalog and request list are uploaded.'}
+                </p>
               ) : (
-                <ul className="match-list">
-                  {matchResult.found.slice(0, 6).map((item, index) => (
-                    <li key={index}>
-                      <div>
-                        <span>{extractIdentifier(item.requested)}</span>
-                        <strong>{item.catalog.Description || item.catalog.description || 'Catalog match'}</strong>
-                      </div>
-                      <p>
-                        {Object.entries(item.catalog)
-                          .slice(0, 3)
-                          .map(([key, value]) => `${key}: ${value}`)
-                          .join(' • ')}
-                      </p>
-                    </li>
-                  ))}
-                </ul>
+                MATCH_TIERS.filter((tier) => matchStats.tiers[tier] > 0).map((tier) => (
+                  <div key={tier} className="match-tier">
+                    <h4>
+                      {MATCH_TIER_LABELS[tier]} <span className="match-tier__count">{matchStats.tiers[tier]}</span>
+                    </h4>
+                    <ul className="match-list">
+                      {matchResult.found
+                        .filter((item) => item.tier === tier)
+                        .slice(0, 6)
+                        .map((item, index) => (
+                          <li key={index}>
+                            <div>
+                              <span>{item.identifier}</span>
+                              <em className={`confidence-badge confidence-badge--${item.tier}`}>
+                                {formatConfidence(item.confidence)}
+                              </em>
+                              <strong>
+                                {getMappedValue(item.catalog, item.source.mapping, 'description') ||
+                                  item.catalog.Description ||
+                                  item.catalog.description ||
+                                  'Catalog match'}
+                              </strong>
+                            </div>
+                            <p>
+                              <em className={`availability-badge availability-badge--${item.availability.status}`}>
+                                {AVAILABILITY_LABELS[item.availability.status]}
+                              </em>{' '}
+                              <LifecycleBadge lifecycle={item.lifecycle} /> {describeAvailability(item.availability)}
+                            </p>
+                            <p className="match-price">{describeLinePrice(item.pricing)}</p>
+                            {item.tier !== 'exact' && <p>Matched catalog part {item.catalogIdentifier}</p>}
+                            <ResolutionNote resolution={item.resolution} />
+                            <p className="match-source">
+                              From {item.source.name}
+                              {item.shadowed.length > 0 &&
+                                ` • also in ${item.shadowed.map((source) => source.name).join(', ')}`}
+                            </p>
+                            <p>
+                              {Object.entries(item.catalog)
+                                .slice(0, 3)
+                                .map(([key, value]) => `${key}: ${value}`)
+                                .join(' • ')}
+                            </p>
+                          </li>
+                        ))}
+                    </ul>
+                  </div>
+                ))
               )}
             </div>
             <div className="panel-subcard">
               <h3>Missing or alternate required</h3>
-              {matchResult.missing.length === 0 ? (
-                <p className="empty-copy">No gaps detected. Great job!</p>
+              {matchResult.alternates.length > 0 && (
+                <div className="match-tier">
+                  <h4>
+                    Alternates proposed <span className="match-tier__count">{matchResult.alternates.length}</span>
+                  </h4>
+                  <ul className="match-list">
+                    {matchResult.alternates.slice(0, 6).map((item, index) => (
+                      <li key={index}>
+                        <div>
+                          <span>{item.identifier}</span>
+                          <strong>→ {item.catalogIdentifier}</strong>
+                        </div>
+                        <p>
+                          {CROSS_REFERENCE_TYPE_LABELS[item.crossReference.type]} from {item.crossReference.fileName}
+                          {item.crossReference.note ? ` • ${item.crossReference.note}` : ''}
+                        </p>
+                        <ResolutionNote resolution={item.resolution} />
+                        <p className="match-source">
+                          From {item.source.name} • {AVAILABILITY_LABELS[item.availability.status]}{' '}
+                          <LifecycleBadge lifecycle={item.lifecycle} />
+                        </p>
+                        <p className="match-price">{describeLinePrice(item.pricing)}</p>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              <div className="match-tier">
+                <h4>
+                  True gaps <span className="match-tier__count">{matchResult.missing.length}</span>
+                </h4>
+                {matchResult.missing.length === 0 ? (
+                  <p className="empty-copy">No gaps detected. Great job!</p>
+                ) : (
+                  <ul className="missing-list">
+                    {matchResult.missing.slice(0, 6).map((item, index) => (
+                      <li key={index}>
+                        <span>{item.identifier || 'Unidentified part'}</span>
+                        <p>{item.reason}</p>
+                        <ResolutionNote resolution={item.resolution} />
+                        {item.specification && <SpecCandidates specification={item.specification} />}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+            <div className="panel-subcard">
+              <h3>Lifecycle risk</h3>
+              {atRiskMatches.length === 0 ? (
+                <p className="empty-copy">
+                  {lifecycleMapped
+                    ? 'No NRND, last-time-buy or obsolete parts among the matches.'
+                    : 'Map a lifecycle column on the catalog to flag NRND, last-time-buy and obsolete parts.'}
+                </p>
               ) : (
-                <ul className="missing-list">
-                  {matchResult.missing.slice(0, 6).map((item, index) => (
-                    <li key={index}>
-                      <span>{extractIdentifier(item.record) || 'Unidentified part'}</span>
-                      <p>{item.reason}</p>
-                    </li>
-                  ))}
-                </ul>
+                AT_RISK_STATUSES.filter((status) => atRiskMatches.some((item) => item.lifecycle.status === status)).map(
+                  (status) => {
+                    const items = atRiskMatches.filter((item) => item.lifecycle.status === status);
+                    return (
+                      <div key={status} className="match-tier">
+                        <h4>
+                          {LIFECYCLE_LABELS[status]} <span className="match-tier__count">{items.length}</span>
+                        </h4>
+                        <ul className="match-list">
+                          {items.slice(0, 6).map((item, index) => (
+                            <li key={index}>
+                              <div>
+                                <span>{item.identifier}</span>
+                                <strong>{item.catalogIdentifier}</strong>
+                              </div>
+                              <p>{describeLifecycle(item.lifecycle)}</p>
+                              <p className="match-source">
+                                {item.crossReference ? 'Alternate' : 'Match'} from {item.source.name}
+                              </p>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    );
+                  }
+                )
               )}
             </div>
           </div>
         </section>
 
-        <section className="panel panel--ai">
-          <div className="panel__header">
-            <h2>Agent Playbook</h2>
-            <p>Describe how the AI agent should navigate each proposal. Tailor the steps for your sourcing team.</p>
-          </div>
-          <div className="agent-steps">
-            {agentSteps.map((step, index) => (
-              <div key={index} className="agent-step">
-                <div className="agent-step__index">{index + 1}</div>
-                <div>
-                  <input
-                    value={step.title}
-                    onChange={(event) => handleAgentStepEdit(index, 'title', event.target.value)}
-                  />
-                  <textarea
-                    value={step.description}
-                    onChange={(event) => handleAgentStepEdit(index, 'description', event.target.value)}
-                    rows={3}
-                  />
-                </div>
-              </div>
-            ))}
-          </div>
-        </section>
+        <PricingSettings settings={pricingSettings} onChange={setPricingSettings} />
+
+        <AgentPlaybook
+          steps={agentSteps}
+          onStepsChange={setAgentSteps}
+          playbooks={playbooks}
+          activePlaybookId={activePlaybookId}
+          onSelectPlaybook={handlePlaybookSelect}
+          onSavePlaybook={handlePlaybookSave}
+          onDeletePlaybook={handlePlaybookDelete}
+          prompt={briefPrompt}
+        />
+
+        <MatchResolution
+          lines={pendingResolutions}
+          resolved={completedResolutions}
+          customer={activeCustomer}
+          learnedCount={Object.keys(resolutions).length}
+          defaultResolvedBy={proposalDetails.preparedBy}
+          disabled={!catalogSearch}
+          onSearch={(query) => searchCatalog(catalogSearch, query)}
+          onSuggest={(line) => suggestResolutions(catalogSearch, line)}
+          onResolve={handleResolve}
+          onUndo={handleResolutionUndo}
+        />
 
         <section className="panel panel--ai">
           <div className="panel__header">
             <h2>AI Proposal Brief</h2>
-            <p>Send the latest numbers to OpenAI and receive a tailored sales-ready narrative.</p>
+            <p>
+              Ask a language model for a reviewed alternate on every unmatched part, then stream back a tailored
+              sales-ready narrative.
+            </p>
           </div>
+          <LlmSettings settings={llmSettings} onChange={setLlmSettings} disabled={aiLoading} />
           <div className="panel__actions">
             <button className="button" onClick={runAiBrief} disabled={aiLoading}>
-              {aiLoading ? 'Generating…' : 'Generate AI brief'}
+              {aiLoading
+                ? aiProgress
+                  ? 'Recommending alternates…'
+                  : 'Generating…'
+                : aiError
+                  ? 'Retry AI brief'
+                  : 'Generate AI brief'}
             </button>
+            {aiLoading && (
+              <button className="button button--ghost" onClick={cancelAiBrief}>
+                Cancel
+              </button>
+            )}
           </div>
           {aiError && <div className="alert alert--error">{aiError}</div>}
           {aiBrief ? (
-            <article className="ai-brief">
+            <article className={`ai-brief ${aiLoading ? 'ai-brief--streaming' : ''}`}>
               {aiBrief.split('\n').map((line, index) => (
                 <p key={index}>{line}</p>
               ))}
@@ -590,12 +1937,34 @@ function App() {
             <div className="ai-placeholder">
               <h3>Ready for instant proposals</h3>
               <p>
-                Connect your OpenAI key and the agent will generate a detailed, client-friendly summary with
-                coverage metrics, available alternates, and next-step recommendations.
+                Pick OpenAI, a local OpenAI-compatible server, or the offline mock provider and the agent will generate
+                a detailed, client-friendly summary with coverage metrics, available alternates, and next-step
+                recommendations.
               </p>
             </div>
           )}
+          {(aiRecommendations.length > 0 || aiProgress) && (
+            <AiRecommendations
+              recommendations={aiRecommendations}
+              progress={aiProgress}
+              onDecide={handleRecommendationDecision}
+            />
+          )}
         </section>
+
+        <ProposalExport
+          details={proposalDetails}
+          onDetailsChange={(field, value) => setProposalDetails((prev) => ({ ...prev, [field]: value }))}
+          columns={catalogColumnOptions}
+          selectedColumns={proposalColumns ?? defaultProposalColumns}
+          onColumnsChange={setProposalColumns}
+          onDownload={downloadProposal}
+          onPrint={printProposal}
+          disabled={!clientRecords.length || !searchCatalogs.length || matchResult.indexing}
+          error={proposalError}
+        />
+
+        <DemandAnalytics analysis={demandAnalysis} onExport={handleDemandExport} onClear={handleDemandClear} />
       </main>
 
       <footer className="footer">
@@ -610,8 +1979,8 @@ function App() {
         <div>
           <h3>Deployment</h3>
           <p>
-            Run <code>npm install</code> followed by <code>npm run dev</code> to start the Vite experience. Configure
-            <code> VITE_OPENAI_API_KEY</code> to unlock the AI brief capability.
+            Run <code>npm install</code>, then <code>npm run server</code> with <code>LLM_API_KEY</code> set and
+            <code> npm run dev</code> to start the Vite experience against the API.
           </p>
         </div>
       </footer>
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+
+function AgentPlaybook({
+  steps,
+  onStepsChange,
+  playbooks,
+  activePlaybookId,
+  onSelectPlaybook,
+  onSavePlaybook,
+  onDeletePlaybook,
+  prompt,
+}) {
+  const [templateName, setTemplateName] = useState('');
+  const [showPrompt, setShowPrompt] = useState(false);
+
+  const activePlaybook = playbooks.find((playbook) => playbook.id === activePlaybookId);
+
+  const updateStep = (index, field, value) => {
+    onStepsChange(steps.map((step, position) => (position === index ? { ...step, [field]: value } : step)));
+  };
+
+  const moveStep = (index, offset) => {
+    const to = index + offset;
+    if (to < 0 || to >= steps.length) return;
+    const next = [...steps];
+    const [moved] = next.splice(index, 1);
+    next.splice(to, 0, moved);
+    onStepsChange(next);
+  };
+
+  return (
+    <section className="panel panel--ai">
+      <div className="panel__header">
+        <h2>Agent Playbook</h2>
+        <p>Describe how the AI agent should navigate each proposal. The steps below are sent with every AI brief.</p>
+      </div>
+      <div className="playbook-templates">
+        <select value={activePlaybookId || ''} onChange={(event) => onSelectPlaybook(event.target.value)}>
+          <option value="" disabled>
+            Unsaved playbook
+          </option>
+          {playbooks.map((playbook) => (
+            <option key={playbook.id} value={playbook.id}>
+              {playbook.name}
+            </option>
+          ))}
+        </select>
+        {activePlaybook && (
+          <>
+            <button
+              className="button button--ghost"
+              onClick={() => onSavePlaybook(activePlaybook.name, activePlaybook.id)}
+            >
+              Update “{activePlaybook.name}”
+            </button>
+            <button className="button button--ghost button--danger" onClick={() => onDeletePlaybook(activePlaybook.id)}>
+              Delete template
+            </button>
+          </>
+        )}
+        <input
+          value={templateName}
+          placeholder="New template name"
+          onChange={(event) => setTemplateName(event.target.value)}
+        />
+        <button
+          className="button button--ghost"
+          disabled={!templateName.trim()}
+          onClick={() => {
+            onSavePlaybook(templateName.trim());
+            setTemplateName('');
+          }}
+        >
+          Save as template
+        </button>
+      </div>
+      <div className="agent-steps">
+        {steps.map((step, index) => (
+          <div key={index} className="agent-step">
+            <div className="agent-step__index">{index + 1}</div>
+            <div>
+              <input value={step.title} onChange={(event) => updateStep(index, 'title', event.target.value)} />
+              <textarea
+                value={step.description}
+                onChange={(event) => updateStep(index, 'description', event.target.value)}
+                rows={3}
+              />
+              <div className="agent-step__actions">
+                <button className="button button--ghost" disabled={index === 0} onClick={() => moveStep(index, -1)}>
+                  ↑
+                </button>
+                <button
+                  className="button button--ghost"
+                  disabled={index === steps.length - 1}
+                  onClick={() => moveStep(index, 1)}
+                >
+                  ↓
+                </button>
+                <button
+                  className="button button--ghost button--danger"
+                  onClick={() => onStepsChange(steps.filter((_, position) => position !== index))}
+                >
+                  Remove step
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="panel__actions">
+        <button
+          className="button button--ghost"
+          onClick={() => onStepsChange([...steps, { title: '', description: '' }])}
+        >
+          Add step
+        </button>
+        <button className="button button--ghost" onClick={() => setShowPrompt((prev) => !prev)}>
+          {showPrompt ? 'Hide prompt preview' : 'Preview prompt'}
+        </button>
+      </div>
+      {showPrompt && (
+        <div className="playbook-preview">
+          <h3>System</h3>
+          <pre>{prompt.system}</pre>
+          <h3>User</h3>
+          <pre>{prompt.user}</pre>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default AgentPlaybook;
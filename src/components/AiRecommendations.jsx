@@ -0,0 +1,70 @@
+import { formatConfidence } from '../lib/matching.js';
+import { RECOMMENDATION_STATUS_LABELS, summarizeRecommendations } from '../lib/recommendations.js';
+
+function AiRecommendations({ recommendations, progress, onDecide }) {
+  const summary = summarizeRecommendations(recommendations);
+
+  return (
+    <div className="ai-recommendations">
+      <div className="ai-recommendations__header">
+        <h3>Alternate recommendations</h3>
+        <p>
+          {progress
+            ? `Reviewing batch ${Math.min(progress.done + 1, progress.total)} of ${progress.total}…`
+            : `${summary.suggested} of ${summary.total} unmatched parts have a suggestion • ${summary.accepted} accepted • ${summary.rejected} rejected`}
+        </p>
+      </div>
+      <div className="ai-recommendations__scroll">
+        <table className="ai-recommendations__table">
+          <thead>
+            <tr>
+              <th>Requested PN</th>
+              <th>Qty</th>
+              <th>Suggested alternate</th>
+              <th>Reasoning</th>
+              <th>Confidence</th>
+              <th>Review</th>
+            </tr>
+          </thead>
+          <tbody>
+            {recommendations.map((item) => (
+              <tr key={item.identifier} className={`ai-recommendations__row--${item.status}`}>
+                <td>{item.identifier}</td>
+                <td>{item.quantity || '—'}</td>
+                <td>
+                  {item.alternate || '—'}
+                  {item.alternate && (
+                    <small>{item.inCatalog ? item.catalog : 'Not among the catalog candidates'}</small>
+                  )}
+                </td>
+                <td>{item.reasoning}</td>
+                <td>{item.alternate ? formatConfidence(item.confidence) : '—'}</td>
+                <td>
+                  {item.alternate ? (
+                    <div className="ai-recommendations__actions">
+                      <span>{RECOMMENDATION_STATUS_LABELS[item.status]}</span>
+                      {item.status !== 'accepted' && (
+                        <button className="button button--ghost" onClick={() => onDecide(item.identifier, 'accepted')}>
+                          Accept
+                        </button>
+                      )}
+                      {item.status !== 'rejected' && (
+                        <button className="button button--ghost" onClick={() => onDecide(item.identifier, 'rejected')}>
+                          Reject
+                        </button>
+                      )}
+                    </div>
+                  ) : (
+                    <span>No suggestion</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default AiRecommendations;
@@ -0,0 +1,111 @@
+import { useMemo } from 'react';
+import { detectHeaders } from '../lib/columns.js';
+import { suggestPriceBreaks } from '../lib/pricing.js';
+
+function CatalogPricingEditor({ catalog, currencies, onChange }) {
+  const headers = useMemo(() => detectHeaders(catalog.records.slice(0, 50)), [catalog.records]);
+  const { pricing } = catalog;
+
+  const update = (changes) => onChange(catalog.id, { ...pricing, ...changes });
+
+  const updateBreak = (index, changes) => {
+    update({ breaks: pricing.breaks.map((entry, position) => (position === index ? { ...entry, ...changes } : entry)) });
+  };
+
+  return (
+    <div className="catalog-pricing">
+      <div className="catalog-pricing__fields">
+        <label>
+          <span>Price currency</span>
+          <select value={pricing.currency} onChange={(event) => update({ currency: event.target.value })}>
+            <option value="">Quote currency</option>
+            {currencies.map((code) => (
+              <option key={code} value={code}>
+                {code}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span>Product family column</span>
+          <select value={pricing.familyColumn} onChange={(event) => update({ familyColumn: event.target.value })}>
+            <option value="">None</option>
+            {headers.map((header) => (
+              <option key={header} value={header}>
+                {header}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <table className="catalog-pricing__breaks">
+        <thead>
+          <tr>
+            <th>From quantity</th>
+            <th>Price column</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {pricing.breaks.map((entry, index) => (
+            <tr key={index}>
+              <td>
+                <input
+                  type="number"
+                  min={1}
+                  value={entry.minQuantity}
+                  onChange={(event) => updateBreak(index, { minQuantity: Number(event.target.value) || 1 })}
+                />
+              </td>
+              <td>
+                <select value={entry.column} onChange={(event) => updateBreak(index, { column: event.target.value })}>
+                  {headers.map((header) => (
+                    <option key={header} value={header}>
+                      {header}
+                    </option>
+                  ))}
+                </select>
+              </td>
+              <td>
+                <button
+                  className="button button--ghost"
+                  onClick={() => update({ breaks: pricing.breaks.filter((_, position) => position !== index) })}
+                >
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {pricing.breaks.length === 0 && (
+        <p className="catalog-card__hint">No price columns yet. Lines from this catalog will be left unpriced.</p>
+      )}
+      <div className="panel__actions">
+        <button
+          className="button button--ghost"
+          disabled={!headers.length}
+          onClick={() => {
+            const lastQuantity = pricing.breaks[pricing.breaks.length - 1]?.minQuantity || 0;
+            update({
+              breaks: [
+                ...pricing.breaks,
+                { minQuantity: lastQuantity ? lastQuantity * 10 : 1, column: catalog.mapping.price || headers[0] },
+              ],
+            });
+          }}
+        >
+          Add quantity break
+        </button>
+        <button
+          className="button button--ghost"
+          onClick={() => update({ breaks: suggestPriceBreaks(headers, catalog.mapping) })}
+        >
+          Detect from headers
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CatalogPricingEditor;
@@ -0,0 +1,137 @@
+import { useMemo, useState } from 'react';
+import { formatDate } from '../lib/format.js';
+import { diffCatalogRecords } from '../lib/revisions.js';
+
+const DIFF_LIMIT = 25;
+
+function CatalogRevisionHistory({ catalog, onRollback, getCoverage }) {
+  const [revisionId, setRevisionId] = useState(catalog.revisions[0]?.id || '');
+  const [coverage, setCoverage] = useState(null);
+  const [comparing, setComparing] = useState(false);
+
+  const revision = catalog.revisions.find((entry) => entry.id === revisionId) || catalog.revisions[0];
+
+  const diff = useMemo(() => (revision ? diffCatalogRecords(revision, catalog) : null), [revision, catalog]);
+
+  if (!revision) {
+    return <p className="catalog-card__hint">No earlier revisions yet. Each Update keeps the previous file here.</p>;
+  }
+
+  return (
+    <div className="revision-history">
+      <div className="revision-history__controls">
+        <label>
+          <span>Compare current with</span>
+          <select
+            value={revision.id}
+            onChange={(event) => {
+              setRevisionId(event.target.value);
+              setCoverage(null);
+            }}
+          >
+            {catalog.revisions.map((entry) => (
+              <option key={entry.id} value={entry.id}>
+                {entry.name} • {formatDate(entry.uploadedAt)} • {entry.records.length} parts
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          className="button button--ghost"
+          disabled={comparing}
+          onClick={async () => {
+            setComparing(true);
+            try {
+              setCoverage(await getCoverage(revision));
+            } finally {
+              setComparing(false);
+            }
+          }}
+        >
+          {comparing ? 'Comparing…' : 'Compare coverage'}
+        </button>
+        <button className="button button--ghost button--danger" onClick={() => onRollback(catalog.id, revision.id)}>
+          Roll back to this revision
+        </button>
+      </div>
+
+      {coverage && (
+        <div className="alert">
+          {coverage.total === 0
+            ? 'Upload a request list to compare coverage between revisions.'
+            : `Coverage moved from ${coverage.revision}% on this revision to ${coverage.current}% on the current catalog (${coverage.total} requested lines).`}
+        </div>
+      )}
+
+      <div className="revision-history__summary">
+        <div className="stats-card">
+          <span>Added</span>
+          <strong>{diff.added.length}</strong>
+        </div>
+        <div className="stats-card">
+          <span>Removed</span>
+          <strong>{diff.removed.length}</strong>
+        </div>
+        <div className="stats-card">
+          <span>Changed</span>
+          <strong>{diff.changed.length}</strong>
+        </div>
+      </div>
+
+      <div className="split-grid">
+        <div className="panel-subcard">
+          <h3>Added parts</h3>
+          {diff.added.length === 0 ? (
+            <p className="empty-copy">No parts added.</p>
+          ) : (
+            <ul className="match-list">
+              {diff.added.slice(0, DIFF_LIMIT).map((item) => (
+                <li key={item.identifier}>
+                  <span>{item.identifier}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div className="panel-subcard">
+          <h3>Removed parts</h3>
+          {diff.removed.length === 0 ? (
+            <p className="empty-copy">No parts removed.</p>
+          ) : (
+            <ul className="missing-list">
+              {diff.removed.slice(0, DIFF_LIMIT).map((item) => (
+                <li key={item.identifier}>
+                  <span>{item.identifier}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div className="panel-subcard">
+          <h3>Changed fields</h3>
+          {diff.changed.length === 0 ? (
+            <p className="empty-copy">No field changes.</p>
+          ) : (
+            <ul className="match-list">
+              {diff.changed.slice(0, DIFF_LIMIT).map((item) => (
+                <li key={item.identifier}>
+                  <span>{item.identifier}</span>
+                  {item.changes.map((change) => (
+                    <p key={change.field}>
+                      {change.field}: {change.before || '—'} → {change.after || '—'}
+                    </p>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+      {Math.max(diff.added.length, diff.removed.length, diff.changed.length) > DIFF_LIMIT && (
+        <p className="catalog-card__hint">Each list shows the first {DIFF_LIMIT} parts.</p>
+      )}
+    </div>
+  );
+}
+
+export default CatalogRevisionHistory;
@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { UPLOAD_KIND_LABELS, isMappingComplete, mappingFieldsFor } from '../lib/columns.js';
+
+const PREVIEW_ROWS = 5;
+
+function ColumnMappingWizard({ upload, queueLength, onConfirm, onCancel }) {
+  const [mapping, setMapping] = useState(upload.mapping);
+  const [remember, setRemember] = useState(true);
+
+  const fields = mappingFieldsFor(upload.kind);
+  const previewFields = fields.filter(({ key }) => mapping[key]);
+
+  return (
+    <section className="panel mapping-wizard">
+      <div className="panel__header">
+        <h2>Map columns for {upload.name}</h2>
+        <p>
+          {UPLOAD_KIND_LABELS[upload.kind]} • {upload.records.length} rows •{' '}
+          {upload.headers.length} columns detected
+          {queueLength > 1 ? ` • ${queueLength - 1} more file(s) waiting` : ''}
+        </p>
+      </div>
+      {upload.remembered && (
+        <p className="catalog-card__hint">
+          These columns use the mapping you saved for {UPLOAD_KIND_LABELS[upload.kind].toLowerCase()} files with the
+          same headers. Check it before applying.
+        </p>
+      )}
+      <div className="mapping-wizard__fields">
+        {fields.map(({ key, label, required }) => (
+          <label key={key}>
+            <span>
+              {label}
+              {required ? ' *' : ''}
+            </span>
+            <select
+              value={mapping[key] || ''}
+              onChange={(event) => setMapping((prev) => ({ ...prev, [key]: event.target.value }))}
+            >
+              <option value="">Not mapped</option>
+              {upload.headers.map((header) => (
+                <option key={header} value={header}>
+                  {header}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+      <div className="mapping-wizard__preview">
+        <table>
+          <thead>
+            <tr>
+              {previewFields.map(({ key, label }) => (
+                <th key={key}>
+                  {label}
+                  <small>{mapping[key]}</small>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {upload.records.slice(0, PREVIEW_ROWS).map((record, index) => (
+              <tr key={index}>
+                {previewFields.map(({ key }) => (
+                  <td key={key}>{record[mapping[key]] || '—'}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="panel__actions">
+        <button className="button" disabled={!isMappingComplete(mapping, upload.kind)} onClick={() => onConfirm(mapping, remember)}>
+          Apply mapping
+        </button>
+        <button className="button button--ghost" onClick={onCancel}>
+          Skip file
+        </button>
+        <label className="mapping-wizard__remember">
+          <input type="checkbox" checked={remember} onChange={(event) => setRemember(event.target.checked)} />
+          Remember for files with these headers
+        </label>
+      </div>
+    </section>
+  );
+}
+
+export default ColumnMappingWizard;
@@ -0,0 +1,132 @@
+import { useState } from 'react';
+import { formatDate } from '../lib/format.js';
+
+const PART_LIMIT = 25;
+
+function DemandAnalytics({ analysis, onExport, onClear }) {
+  const [showAll, setShowAll] = useState(false);
+  const parts = showAll ? analysis.missingParts : analysis.missingParts.slice(0, PART_LIMIT);
+
+  return (
+    <section className="panel demand-analytics">
+      <div className="panel__header">
+        <h2>Demand Gaps</h2>
+        <p>
+          Every matching run is logged in this browser: {analysis.requests} request files across {analysis.runs} runs.
+          Use it to decide which catalog gaps to fill first.
+        </p>
+      </div>
+      <div className="panel__actions">
+        <button className="button button--secondary" onClick={onExport} disabled={!analysis.missingParts.length}>
+          Export demand gaps CSV
+        </button>
+        <button className="button button--ghost button--danger" onClick={onClear} disabled={!analysis.runs}>
+          Clear history
+        </button>
+      </div>
+
+      {analysis.runs === 0 ? (
+        <p className="empty-copy">Match a request against a catalog to start collecting demand history.</p>
+      ) : (
+        <>
+          <div className="panel-subcard">
+            <h3>Most-requested missing parts ({analysis.missingParts.length})</h3>
+            {parts.length === 0 ? (
+              <p className="empty-copy">Every logged request line was covered.</p>
+            ) : (
+              <div className="ai-recommendations__scroll">
+                <table className="ai-recommendations__table">
+                  <thead>
+                    <tr>
+                      <th>Part number</th>
+                      <th>Requests</th>
+                      <th>Total quantity</th>
+                      <th>Customers</th>
+                      <th>Last requested</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {parts.map((part) => (
+                      <tr key={part.identifier}>
+                        <td>
+                          <strong>{part.identifier}</strong>
+                        </td>
+                        <td>{part.requests}</td>
+                        <td>{part.quantity}</td>
+                        <td>{part.customers.join(', ')}</td>
+                        <td>{formatDate(part.lastRequested)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {analysis.missingParts.length > PART_LIMIT && (
+              <button className="button button--ghost" onClick={() => setShowAll((prev) => !prev)}>
+                {showAll ? `Show top ${PART_LIMIT}` : `Show all ${analysis.missingParts.length}`}
+              </button>
+            )}
+          </div>
+
+          <div className="split-grid">
+            <div className="panel-subcard">
+              <h3>Coverage over time</h3>
+              <ul className="demand-analytics__bars">
+                {analysis.trend.map((day) => (
+                  <li key={day.day}>
+                    <span>{day.day}</span>
+                    <div className="coverage-bar">
+                      <div className="coverage-bar__fill" style={{ width: `${day.coverage}%` }} />
+                    </div>
+                    <strong>{day.coverage}%</strong>
+                    <small>
+                      {day.runs} runs • {day.lines} lines
+                    </small>
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <div className="panel-subcard">
+              <h3>Coverage by customer</h3>
+              <ul className="demand-analytics__bars">
+                {analysis.customers.map((customer) => (
+                  <li key={customer.customer}>
+                    <span>{customer.customer}</span>
+                    <div className="coverage-bar">
+                      <div className="coverage-bar__fill" style={{ width: `${customer.coverage}%` }} />
+                    </div>
+                    <strong>{customer.coverage}%</strong>
+                    <small>
+                      {customer.requests} requests • {customer.missing} of {customer.lines} lines missing
+                    </small>
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <div className="panel-subcard">
+              <h3>Catalogs contributing matches</h3>
+              {analysis.catalogs.length === 0 ? (
+                <p className="empty-copy">No matches logged yet.</p>
+              ) : (
+                <ul className="demand-analytics__bars">
+                  {analysis.catalogs.map((catalog) => (
+                    <li key={catalog.id}>
+                      <span>{catalog.name}</span>
+                      <div className="coverage-bar">
+                        <div className="coverage-bar__fill" style={{ width: `${catalog.share}%` }} />
+                      </div>
+                      <strong>{catalog.share}%</strong>
+                      <small>{catalog.matches} matched lines</small>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+export default DemandAnalytics;
@@ -0,0 +1,66 @@
+import { BROWSER_LLM_PROVIDERS, LLM_PROVIDERS, settingsForProvider } from '../lib/llm.js';
+
+function LlmSettings({ settings, onChange, disabled }) {
+  const update = (field, value) => onChange({ ...settings, [field]: value });
+  const isMock = settings.provider === 'mock';
+
+  return (
+    <div className="llm-settings">
+      <label>
+        <span>Provider</span>
+        <select
+          value={settings.provider}
+          disabled={disabled}
+          onChange={(event) => onChange(settingsForProvider(event.target.value))}
+        >
+          {BROWSER_LLM_PROVIDERS.map((key) => (
+            <option key={key} value={key}>
+              {LLM_PROVIDERS[key].label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {!isMock && (
+        <>
+          <label>
+            <span>Base URL</span>
+            <input
+              value={settings.baseUrl}
+              disabled={disabled}
+              onChange={(event) => update('baseUrl', event.target.value)}
+            />
+          </label>
+          <label>
+            <span>Model</span>
+            <input value={settings.model} disabled={disabled} onChange={(event) => update('model', event.target.value)} />
+          </label>
+          <label>
+            <span>Temperature</span>
+            <input
+              type="number"
+              min={0}
+              max={2}
+              step={0.1}
+              value={settings.temperature}
+              disabled={disabled}
+              onChange={(event) => update('temperature', Number(event.target.value) || 0)}
+            />
+          </label>
+          <label>
+            <span>Max tokens</span>
+            <input
+              type="number"
+              min={64}
+              step={64}
+              value={settings.maxTokens}
+              disabled={disabled}
+              onChange={(event) => update('maxTokens', Number(event.target.value) || 64)}
+            />
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default LlmSettings;
@@ -0,0 +1,208 @@
+import { useState } from 'react';
+import { getMappedValue } from '../lib/columns.js';
+import { formatDate } from '../lib/format.js';
+import { RESOLUTION_TYPES, RESOLUTION_TYPE_LABELS, describeResolution } from '../lib/resolutions.js';
+
+const LINE_LIMIT = 50;
+
+function candidateKey(candidate) {
+  return `${candidate.source?.id}:${candidate.catalogIdentifier}`;
+}
+
+function Resolver({ line, defaultResolvedBy, onSearch, onSuggest, onResolve, onCancel }) {
+  const [query, setQuery] = useState('');
+  const [candidates, setCandidates] = useState(() => onSuggest(line));
+  const [selected, setSelected] = useState(() => (candidates[0] ? candidateKey(candidates[0]) : ''));
+  const [type, setType] = useState('exact');
+  const [comment, setComment] = useState('');
+  const [resolvedBy, setResolvedBy] = useState(defaultResolvedBy);
+
+  const match = candidates.find((candidate) => candidateKey(candidate) === selected);
+
+  const runSearch = (value) => {
+    setQuery(value);
+    const results = value.trim() ? onSearch(value) : onSuggest(line);
+    setCandidates(results);
+    if (!results.some((candidate) => candidateKey(candidate) === selected)) {
+      setSelected(results[0] ? candidateKey(results[0]) : '');
+    }
+  };
+
+  return (
+    <div className="match-resolution__resolver">
+      <label className="match-resolution__field">
+        <span>Search catalog</span>
+        <input
+          value={query}
+          placeholder="Part number or description words"
+          onChange={(event) => runSearch(event.target.value)}
+        />
+      </label>
+      {type !== 'noQuote' &&
+        (candidates.length === 0 ? (
+          <p className="empty-copy">No catalog parts found. Try another search or mark the line as no quote.</p>
+        ) : (
+          <ul className="match-resolution__candidates">
+            {candidates.map((candidate) => (
+              <li key={candidateKey(candidate)}>
+                <label>
+                  <input
+                    type="radio"
+                    name={`resolve-${line.identifier}`}
+                    checked={selected === candidateKey(candidate)}
+                    onChange={() => setSelected(candidateKey(candidate))}
+                  />
+                  <strong>{candidate.catalogIdentifier}</strong>
+                  <span>{getMappedValue(candidate.catalog, candidate.source?.mapping, 'description')}</span>
+                  {candidate.source && <small>{candidate.source.name}</small>}
+                </label>
+              </li>
+            ))}
+          </ul>
+        ))}
+      <div className="match-resolution__fields">
+        <label className="match-resolution__field">
+          <span>Resolve as</span>
+          <select value={type} onChange={(event) => setType(event.target.value)}>
+            {RESOLUTION_TYPES.map((entry) => (
+              <option key={entry} value={entry}>
+                {RESOLUTION_TYPE_LABELS[entry]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="match-resolution__field">
+          <span>Resolved by</span>
+          <input value={resolvedBy} placeholder="Your name" onChange={(event) => setResolvedBy(event.target.value)} />
+        </label>
+        <label className="match-resolution__field match-resolution__field--wide">
+          <span>Comment</span>
+          <input
+            value={comment}
+            placeholder="Why this part, or why no quote"
+            onChange={(event) => setComment(event.target.value)}
+          />
+        </label>
+      </div>
+      <div className="panel__actions">
+        <button
+          className="button"
+          disabled={(type !== 'noQuote' && !match) || !resolvedBy.trim()}
+          onClick={() => onResolve(line, { type, match, comment, resolvedBy })}
+        >
+          Save resolution
+        </button>
+        <button className="button button--ghost" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function MatchResolution({
+  lines,
+  resolved,
+  customer,
+  learnedCount,
+  defaultResolvedBy,
+  disabled,
+  onSearch,
+  onSuggest,
+  onResolve,
+  onUndo,
+}) {
+  const [openIdentifier, setOpenIdentifier] = useState(null);
+  const [filter, setFilter] = useState('');
+
+  const visibleLines = lines.filter((line) => line.identifier.includes(filter.trim().toUpperCase()));
+
+  return (
+    <section className="panel match-resolution">
+      <div className="panel__header">
+        <h2>Match Resolution</h2>
+        <p>
+          Resolve missing and fuzzy lines by hand. Decisions are saved as {customer || 'unnamed customer'} part-number
+          mappings and applied to every future request from the same customer ({learnedCount} saved).
+        </p>
+      </div>
+      {lines.length === 0 ? (
+        <p className="empty-copy">No missing or low-confidence lines left to resolve.</p>
+      ) : (
+        <>
+          <label className="match-resolution__field">
+            <span>
+              {lines.length} line(s) to resolve
+              {visibleLines.length > LINE_LIMIT ? ` • first ${LINE_LIMIT} shown` : ''}
+            </span>
+            <input
+              value={filter}
+              placeholder="Filter by part number"
+              onChange={(event) => setFilter(event.target.value)}
+            />
+          </label>
+          <ul className="missing-list">
+            {visibleLines.slice(0, LINE_LIMIT).map((line) => (
+              <li key={line.identifier}>
+                <div className="match-resolution__line">
+                  <span>{line.identifier}</span>
+                  <p>
+                    {line.reason}
+                    {line.count > 1 ? ` • ${line.count} lines` : ''}
+                  </p>
+                  {openIdentifier !== line.identifier && (
+                    <button
+                      className="button button--ghost"
+                      disabled={disabled}
+                      onClick={() => setOpenIdentifier(line.identifier)}
+                    >
+                      Resolve
+                    </button>
+                  )}
+                </div>
+                {openIdentifier === line.identifier && (
+                  <Resolver
+                    line={line}
+                    defaultResolvedBy={defaultResolvedBy}
+                    onSearch={onSearch}
+                    onSuggest={onSuggest}
+                    onResolve={(entry, decision) => {
+                      onResolve(entry, decision);
+                      setOpenIdentifier(null);
+                    }}
+                    onCancel={() => setOpenIdentifier(null)}
+                  />
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      {resolved.length > 0 && (
+        <div className="panel-subcard">
+          <h3>Resolved lines</h3>
+          <ul className="match-list">
+            {resolved.map((item) => (
+              <li key={item.identifier}>
+                <div className="match-resolution__line">
+                  <span>{item.identifier}</span>
+                  {item.resolution.type !== 'noQuote' && <strong>→ {item.catalogIdentifier}</strong>}
+                  <button className="button button--ghost button--danger" onClick={() => onUndo(item.identifier)}>
+                    Forget mapping
+                  </button>
+                </div>
+                <p>
+                  {describeResolution(item.resolution)} by {item.resolution.resolvedBy} on{' '}
+                  {formatDate(item.resolution.resolvedAt)}
+                  {item.resolution.comment ? ` • ${item.resolution.comment}` : ''}
+                </p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default MatchResolution;
@@ -0,0 +1,115 @@
+import { PRICING_RULE_TYPES } from '../lib/pricing.js';
+
+function PricingSettings({ settings, onChange }) {
+  const updateList = (list, index, changes) =>
+    onChange({
+      ...settings,
+      [list]: settings[list].map((entry, position) => (position === index ? { ...entry, ...changes } : entry)),
+    });
+
+  const removeFromList = (list, index) =>
+    onChange({ ...settings, [list]: settings[list].filter((_, position) => position !== index) });
+
+  return (
+    <section className="panel pricing-settings">
+      <div className="panel__header">
+        <h2>Pricing</h2>
+        <p>
+          Set the quote currency, hand-entered conversion rates, and margin or discount rules. Price columns and
+          quantity breaks are configured per catalog under Pricing.
+        </p>
+      </div>
+      <div className="pricing-settings__grid">
+        <div className="panel-subcard">
+          <h3>Currency</h3>
+          <label className="pricing-settings__field">
+            <span>Quote currency</span>
+            <input
+              value={settings.currency}
+              maxLength={3}
+              onChange={(event) => onChange({ ...settings, currency: event.target.value.toUpperCase() })}
+            />
+          </label>
+          {settings.rates.map((rate, index) => (
+            <div key={index} className="pricing-settings__row">
+              <span>1</span>
+              <input
+                value={rate.code}
+                maxLength={3}
+                placeholder="EUR"
+                onChange={(event) => updateList('rates', index, { code: event.target.value.toUpperCase() })}
+              />
+              <span>=</span>
+              <input
+                value={rate.rate}
+                inputMode="decimal"
+                placeholder="1.08"
+                onChange={(event) => updateList('rates', index, { rate: event.target.value })}
+              />
+              <span>{settings.currency}</span>
+              <button className="button button--ghost" onClick={() => removeFromList('rates', index)}>
+                Remove
+              </button>
+            </div>
+          ))}
+          <button
+            className="button button--ghost"
+            onClick={() => onChange({ ...settings, rates: [...settings.rates, { code: '', rate: '' }] })}
+          >
+            Add conversion rate
+          </button>
+        </div>
+        <div className="panel-subcard">
+          <h3>Margin and discount rules</h3>
+          <p className="catalog-card__hint">
+            The most specific rule wins: product family and customer, then family, then customer, then a rule
+            for all lines. Margin treats catalog prices as cost; discount treats them as list price.
+          </p>
+          {settings.rules.map((rule, index) => (
+            <div key={index} className="pricing-settings__row">
+              <select value={rule.type} onChange={(event) => updateList('rules', index, { type: event.target.value })}>
+                {Object.entries(PRICING_RULE_TYPES).map(([type, label]) => (
+                  <option key={type} value={type}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <input
+                value={rule.percent}
+                inputMode="decimal"
+                placeholder="%"
+                onChange={(event) => updateList('rules', index, { percent: event.target.value })}
+              />
+              <input
+                value={rule.customer}
+                placeholder="Any customer"
+                onChange={(event) => updateList('rules', index, { customer: event.target.value })}
+              />
+              <input
+                value={rule.family}
+                placeholder="Any product family"
+                onChange={(event) => updateList('rules', index, { family: event.target.value })}
+              />
+              <button className="button button--ghost" onClick={() => removeFromList('rules', index)}>
+                Remove
+              </button>
+            </div>
+          ))}
+          <button
+            className="button button--ghost"
+            onClick={() =>
+              onChange({
+                ...settings,
+                rules: [...settings.rules, { type: 'margin', percent: '', customer: '', family: '' }],
+              })
+            }
+          >
+            Add rule
+          </button>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default PricingSettings;
@@ -0,0 +1,287 @@
+import { useState } from 'react';
+import { formatDate } from '../lib/format.js';
+import {
+  MATCH_STATUS_LABELS,
+  PROJECT_STATUSES,
+  PROJECT_STATUS_LABELS,
+  projectCoverage,
+  projectName,
+  relatedProjects,
+  sortProjects,
+} from '../lib/projects.js';
+
+const DIFF_LIMIT = 25;
+
+const EMPTY_DRAFT = { customer: '', rfqNumber: '', dueDate: '', status: 'open' };
+
+function ProjectFields({ values, onChange }) {
+  return (
+    <div className="project-workspaces__fields">
+      <label>
+        <span>Customer</span>
+        <input
+          value={values.customer}
+          placeholder="Acme Robotics"
+          onChange={(event) => onChange('customer', event.target.value)}
+        />
+      </label>
+      <label>
+        <span>RFQ number</span>
+        <input
+          value={values.rfqNumber}
+          placeholder="RFQ-2024-017"
+          onChange={(event) => onChange('rfqNumber', event.target.value)}
+        />
+      </label>
+      <label>
+        <span>Due date</span>
+        <input type="date" value={values.dueDate} onChange={(event) => onChange('dueDate', event.target.value)} />
+      </label>
+      <label>
+        <span>Status</span>
+        <select value={values.status} onChange={(event) => onChange('status', event.target.value)}>
+          {PROJECT_STATUSES.map((status) => (
+            <option key={status} value={status}>
+              {PROJECT_STATUS_LABELS[status]}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+function CoverageComparison({ comparison, baseName, revisedName }) {
+  const changes = [
+    ['Added lines', comparison.added.map((line) => `${line.identifier} × ${line.quantity}`)],
+    ['Removed lines', comparison.removed.map((line) => `${line.identifier} × ${line.quantity}`)],
+    [
+      'Match status changed',
+      comparison.statusChanged.map(
+        (line) => `${line.identifier}: ${MATCH_STATUS_LABELS[line.before]} → ${MATCH_STATUS_LABELS[line.after]}`
+      ),
+    ],
+    [
+      'Quantity changed',
+      comparison.quantityChanged.map((line) => `${line.identifier}: ${line.before} → ${line.after}`),
+    ],
+  ];
+
+  return (
+    <div className="project-workspaces__comparison">
+      <div className="alert">
+        {baseName}: {comparison.base.coverage}% coverage of {comparison.base.total} lines • {revisedName}:{' '}
+        {comparison.revised.coverage}% coverage of {comparison.revised.total} lines
+      </div>
+      <div className="split-grid">
+        {changes.map(([label, lines]) => (
+          <div key={label} className="panel-subcard">
+            <h3>
+              {label} ({lines.length})
+            </h3>
+            {lines.length === 0 ? (
+              <p className="empty-copy">None.</p>
+            ) : (
+              <ul className="match-list">
+                {lines.slice(0, DIFF_LIMIT).map((line) => (
+                  <li key={line}>
+                    <span>{line}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {lines.length > DIFF_LIMIT && <p className="catalog-card__hint">First {DIFF_LIMIT} shown.</p>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ProjectWorkspaces({
+  projects,
+  activeProjectId,
+  onSelect,
+  onCreate,
+  onDuplicate,
+  onDelete,
+  onChange,
+  onCompare,
+}) {
+  const [draft, setDraft] = useState(null);
+  const [compareId, setCompareId] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [compareError, setCompareError] = useState('');
+  const [comparing, setComparing] = useState(false);
+
+  const activeProject = projects.find((project) => project.id === activeProjectId);
+  const related = activeProject ? relatedProjects(projects, activeProject) : [];
+  const compareProject = related.find((project) => project.id === compareId) || related[0];
+
+  const runComparison = async () => {
+    setComparing(true);
+    setCompareError('');
+    try {
+      setComparison({
+        revisedId: activeProject.id,
+        baseName: projectName(compareProject),
+        revisedName: projectName(activeProject),
+        result: await onCompare(compareProject.id, activeProject.id),
+      });
+    } catch (error) {
+      setCompareError(error.message);
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  return (
+    <section className="panel project-workspaces">
+      <div className="panel__header">
+        <h2>Projects</h2>
+        <p>Keep each customer RFQ with its own request files, match results, AI brief and notes.</p>
+      </div>
+      <div className="ai-recommendations__scroll">
+        <table className="ai-recommendations__table">
+          <thead>
+            <tr>
+              <th>Project</th>
+              <th>Due</th>
+              <th>Status</th>
+              <th>Lines</th>
+              <th>Coverage</th>
+              <th>Updated</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {sortProjects(projects).map((project) => {
+              const coverage = projectCoverage(project);
+              const lines = project.clientSources.reduce((count, source) => count + source.records.length, 0);
+              return (
+                <tr
+                  key={project.id}
+                  className={project.id === activeProjectId ? 'project-workspaces__row--active' : undefined}
+                >
+                  <td>
+                    <strong>{projectName(project)}</strong>
+                    <small>{project.clientSources.map((source) => source.name).join(', ') || 'No request files'}</small>
+                  </td>
+                  <td>{project.dueDate || '—'}</td>
+                  <td>{PROJECT_STATUS_LABELS[project.status]}</td>
+                  <td>{lines}</td>
+                  <td>{coverage === null ? '—' : `${coverage}%`}</td>
+                  <td>{formatDate(project.updatedAt)}</td>
+                  <td>
+                    <div className="ai-recommendations__actions">
+                      {project.id === activeProjectId ? (
+                        <em>Open</em>
+                      ) : (
+                        <button className="button button--ghost" onClick={() => onSelect(project.id)}>
+                          Switch
+                        </button>
+                      )}
+                      <button className="button button--ghost" onClick={() => onDuplicate(project.id)}>
+                        Duplicate as revision
+                      </button>
+                      <button className="button button--ghost button--danger" onClick={() => onDelete(project.id)}>
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {draft ? (
+        <div className="panel-subcard">
+          <h3>New project</h3>
+          <ProjectFields
+            values={draft}
+            onChange={(field, value) => setDraft((prev) => ({ ...prev, [field]: value }))}
+          />
+          <div className="panel__actions">
+            <button
+              className="button"
+              onClick={() => {
+                onCreate(draft);
+                setDraft(null);
+                setComparison(null);
+              }}
+            >
+              Create project
+            </button>
+            <button className="button button--ghost" onClick={() => setDraft(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="panel__actions">
+          <button className="button button--secondary" onClick={() => setDraft(EMPTY_DRAFT)}>
+            New project
+          </button>
+        </div>
+      )}
+
+      {activeProject && (
+        <div className="panel-subcard">
+          <h3>{projectName(activeProject)}</h3>
+          <ProjectFields
+            values={activeProject}
+            onChange={(field, value) => onChange(activeProject.id, { [field]: value })}
+          />
+          <label className="project-workspaces__notes">
+            <span>Notes</span>
+            <textarea
+              rows={3}
+              value={activeProject.notes}
+              placeholder="Customer contacts, target pricing, open questions…"
+              onChange={(event) => onChange(activeProject.id, { notes: event.target.value })}
+            />
+          </label>
+          {related.length > 0 ? (
+            <div className="revision-history__controls">
+              <label>
+                <span>Compare coverage with</span>
+                <select
+                  value={compareProject.id}
+                  onChange={(event) => {
+                    setCompareId(event.target.value);
+                    setComparison(null);
+                  }}
+                >
+                  {related.map((project) => (
+                    <option key={project.id} value={project.id}>
+                      {projectName(project)} • {formatDate(project.createdAt)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <button className="button button--ghost" disabled={comparing} onClick={runComparison}>
+                {comparing ? 'Comparing…' : 'Compare coverage'}
+              </button>
+            </div>
+          ) : (
+            <p className="catalog-card__hint">
+              Duplicate this project for a revised RFQ to compare coverage between BOM revisions.
+            </p>
+          )}
+          {compareError && <div className="alert alert--error">{compareError}</div>}
+          {comparison?.revisedId === activeProject.id && (
+            <CoverageComparison
+              comparison={comparison.result}
+              baseName={comparison.baseName}
+              revisedName={comparison.revisedName}
+            />
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default ProjectWorkspaces;
@@ -0,0 +1,79 @@
+const DETAIL_FIELDS = [
+  { key: 'customer', label: 'Customer', placeholder: 'Acme Robotics' },
+  { key: 'reference', label: 'Quote reference', placeholder: 'Q-2024-001' },
+  { key: 'preparedBy', label: 'Prepared by', placeholder: 'Sales engineer' },
+  { key: 'validDays', label: 'Valid for (days)', type: 'number' },
+];
+
+function ProposalExport({
+  details,
+  onDetailsChange,
+  columns,
+  selectedColumns,
+  onColumnsChange,
+  onDownload,
+  onPrint,
+  disabled,
+  error,
+}) {
+  const toggleColumn = (column) => {
+    onColumnsChange(
+      selectedColumns.includes(column)
+        ? selectedColumns.filter((entry) => entry !== column)
+        : [...selectedColumns, column]
+    );
+  };
+
+  return (
+    <section className="panel proposal-export">
+      <div className="panel__header">
+        <h2>Proposal Export</h2>
+        <p>Download a multi-sheet workbook for the customer or open a printable quote with the AI brief attached.</p>
+      </div>
+      <div className="proposal-export__fields">
+        {DETAIL_FIELDS.map(({ key, label, placeholder, type = 'text' }) => (
+          <label key={key}>
+            <span>{label}</span>
+            <input
+              type={type}
+              min={type === 'number' ? 1 : undefined}
+              value={details[key]}
+              placeholder={placeholder}
+              onChange={(event) =>
+                onDetailsChange(key, type === 'number' ? Number(event.target.value) || 0 : event.target.value)
+              }
+            />
+          </label>
+        ))}
+      </div>
+      {columns.length > 0 && (
+        <div className="proposal-export__columns">
+          <span>Catalog columns to include</span>
+          <div className="record-browser__columns">
+            {columns.map((column) => (
+              <label key={column}>
+                <input
+                  type="checkbox"
+                  checked={selectedColumns.includes(column)}
+                  onChange={() => toggleColumn(column)}
+                />
+                {column}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+      {error && <div className="alert alert--error">{error}</div>}
+      <div className="panel__actions">
+        <button className="button" onClick={onDownload} disabled={disabled}>
+          Download proposal (.xlsx)
+        </button>
+        <button className="button button--secondary" onClick={onPrint} disabled={disabled}>
+          Print quote
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default ProposalExport;
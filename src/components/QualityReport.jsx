@@ -0,0 +1,94 @@
+import { QUALITY_CHECKS, QUALITY_EXAMPLE_LIMIT } from '../lib/quality.js';
+
+function describeRow(row) {
+  return row ? `Row ${row}` : 'File';
+}
+
+function describeRecord(record, columns) {
+  return columns.map((column) => `${column}: ${record?.[column] || '—'}`).join(', ');
+}
+
+function DuplicateList({ duplicates, records, choices, onChoose, allowKeepAll }) {
+  return (
+    <ul className="quality-report__issues">
+      {duplicates.slice(0, QUALITY_EXAMPLE_LIMIT).map(({ identifier, rows, conflicts }) => (
+        <li key={identifier}>
+          <strong>{identifier}</strong> on rows {rows.map((row) => row + 1).join(', ')}
+          {conflicts.length ? ` • conflicting ${conflicts.join(', ')}` : ' • identical rows'}
+          {onChoose && conflicts.length > 0 && (
+            <select
+              value={choices[identifier] ?? 'all'}
+              onChange={(event) =>
+                onChoose(identifier, event.target.value === 'all' ? undefined : Number(event.target.value))
+              }
+            >
+              {allowKeepAll && <option value="all">Keep every line</option>}
+              {rows.map((row) => (
+                <option key={row} value={row}>
+                  Keep row {row + 1} ({describeRecord(records[row], conflicts)})
+                </option>
+              ))}
+            </select>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function IssueList({ issues }) {
+  return (
+    <ul className="quality-report__issues">
+      {issues.slice(0, QUALITY_EXAMPLE_LIMIT).map((issue, index) => (
+        <li key={index}>
+          <strong>{describeRow(issue.row)}</strong>
+          {issue.column ? ` • ${issue.column} "${issue.value}"` : ''}
+          {issue.message ? ` • ${issue.message}` : ''}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function QualityReport({ report, records = [], choices = {}, onChoose, allowKeepAll = false }) {
+  const checks = QUALITY_CHECKS.map((check) => ({
+    ...check,
+    issues: report[check.key],
+    count: report.counts?.[check.key] ?? report[check.key].length,
+  }));
+
+  return (
+    <div className="quality-report">
+      <div className="quality-report__summary">
+        {checks.map(({ key, label, count }) => (
+          <div key={key} className={`quality-report__check ${count ? 'quality-report__check--warning' : ''}`}>
+            <span>{label}</span>
+            <strong>{count}</strong>
+          </div>
+        ))}
+      </div>
+      {checks
+        .filter(({ count }) => count > 0)
+        .map(({ key, label, issues, count }) => (
+          <details key={key} className="quality-report__section" open={key === 'duplicates' && Boolean(onChoose)}>
+            <summary>
+              {label} ({count}){count > QUALITY_EXAMPLE_LIMIT ? ` • first ${QUALITY_EXAMPLE_LIMIT} shown` : ''}
+            </summary>
+            {key === 'duplicates' ? (
+              <DuplicateList
+                duplicates={issues}
+                records={records}
+                choices={choices}
+                onChoose={onChoose}
+                allowKeepAll={allowKeepAll}
+              />
+            ) : (
+              <IssueList issues={issues} />
+            )}
+          </details>
+        ))}
+    </div>
+  );
+}
+
+export default QualityReport;
@@ -0,0 +1,50 @@
+import { useState } from 'react';
+import { UPLOAD_KIND_LABELS } from '../lib/columns.js';
+import { countQualityIssues } from '../lib/quality.js';
+import QualityReport from './QualityReport.jsx';
+
+function QualityReview({ review, queueLength, onConfirm, onCancel }) {
+  const [choices, setChoices] = useState(review.choices);
+
+  const handleChoose = (identifier, row) => {
+    setChoices((prev) => {
+      const next = { ...prev };
+      if (row === undefined) {
+        delete next[identifier];
+      } else {
+        next[identifier] = row;
+      }
+      return next;
+    });
+  };
+
+  return (
+    <section className="panel quality-review">
+      <div className="panel__header">
+        <h2>Check data quality for {review.name}</h2>
+        <p>
+          {UPLOAD_KIND_LABELS[review.kind]} • {review.records.length} rows •{' '}
+          {countQualityIssues(review.report)} issue(s) found
+          {queueLength > 1 ? ` • ${queueLength - 1} more file(s) waiting` : ''}
+        </p>
+      </div>
+      <QualityReport
+        report={review.report}
+        records={review.records}
+        choices={choices}
+        onChoose={handleChoose}
+        allowKeepAll={review.kind === 'client'}
+      />
+      <div className="panel__actions">
+        <button className="button" onClick={() => onConfirm(choices)}>
+          Use file
+        </button>
+        <button className="button button--ghost" onClick={onCancel}>
+          Skip file
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default QualityReview;
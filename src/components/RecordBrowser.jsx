@@ -0,0 +1,201 @@
+import { useMemo, useState } from 'react';
+import { filterRecords, profileColumns, sortRecords } from '../lib/browser.js';
+
+const ROW_HEIGHT = 40;
+const VIEWPORT_HEIGHT = 440;
+const OVERSCAN = 8;
+const COLUMN_WIDTH = 150;
+
+function nextSort(sort, key) {
+  if (!sort || sort.key !== key) return { key, direction: 'asc' };
+  if (sort.direction === 'asc') return { key, direction: 'desc' };
+  return null;
+}
+
+function RecordBrowser({ records, label = 'records' }) {
+  const columns = useMemo(() => profileColumns(records), [records]);
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState([]);
+  const [sort, setSort] = useState(null);
+  const [hidden, setHidden] = useState([]);
+  const [showColumns, setShowColumns] = useState(false);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const visibleColumns = columns.filter((column) => !hidden.includes(column.key));
+
+  const rows = useMemo(
+    () => sortRecords(filterRecords(records, { query, filters }), sort, columns),
+    [records, query, filters, sort, columns]
+  );
+
+  const start = Math.max(Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN, 0);
+  const end = Math.min(start + Math.ceil(VIEWPORT_HEIGHT / ROW_HEIGHT) + OVERSCAN * 2, rows.length);
+  const gridTemplateColumns = `repeat(${Math.max(visibleColumns.length, 1)}, minmax(${COLUMN_WIDTH}px, 1fr))`;
+  const minWidth = visibleColumns.length * COLUMN_WIDTH;
+
+  const addFilter = (key) => {
+    const column = columns.find((entry) => entry.key === key);
+    if (!column || filters.some((filter) => filter.key === key)) return;
+    setFilters((prev) => [
+      ...prev,
+      column.type === 'number' ? { key, type: 'number', min: '', max: '' } : { key, type: 'text', values: [] },
+    ]);
+  };
+
+  const updateFilter = (key, changes) => {
+    setFilters((prev) => prev.map((filter) => (filter.key === key ? { ...filter, ...changes } : filter)));
+  };
+
+  const toggleFacet = (filter, value) => {
+    const values = filter.values.includes(value)
+      ? filter.values.filter((entry) => entry !== value)
+      : [...filter.values, value];
+    updateFilter(filter.key, { values });
+  };
+
+  return (
+    <div className="record-browser">
+      <div className="record-browser__toolbar">
+        <input
+          className="record-browser__search"
+          type="search"
+          placeholder={`Search all ${label}…`}
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+        />
+        <select
+          value=""
+          onChange={(event) => {
+            addFilter(event.target.value);
+            event.target.value = '';
+          }}
+        >
+          <option value="">Add column filter…</option>
+          {columns
+            .filter((column) => !filters.some((filter) => filter.key === column.key))
+            .map((column) => (
+              <option key={column.key} value={column.key}>
+                {column.key} ({column.type === 'number' ? 'range' : `${column.distinct} values`})
+              </option>
+            ))}
+        </select>
+        <button className="button button--ghost" onClick={() => setShowColumns((prev) => !prev)}>
+          Columns ({visibleColumns.length}/{columns.length})
+        </button>
+      </div>
+
+      {showColumns && (
+        <div className="record-browser__columns">
+          {columns.map((column) => (
+            <label key={column.key}>
+              <input
+                type="checkbox"
+                checked={!hidden.includes(column.key)}
+                onChange={() =>
+                  setHidden((prev) =>
+                    prev.includes(column.key) ? prev.filter((key) => key !== column.key) : [...prev, column.key]
+                  )
+                }
+              />
+              {column.key}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {filters.length > 0 && (
+        <div className="record-browser__filters">
+          {filters.map((filter) => {
+            const column = columns.find((entry) => entry.key === filter.key);
+            return (
+              <div key={filter.key} className="record-browser__filter">
+                <header>
+                  <strong>{filter.key}</strong>
+                  <button
+                    className="button button--ghost"
+                    onClick={() => setFilters((prev) => prev.filter((entry) => entry.key !== filter.key))}
+                  >
+                    Remove
+                  </button>
+                </header>
+                {filter.type === 'number' ? (
+                  <div className="record-browser__range">
+                    <input
+                      type="number"
+                      placeholder={`Min ${column.min}`}
+                      value={filter.min}
+                      onChange={(event) => updateFilter(filter.key, { min: event.target.value })}
+                    />
+                    <input
+                      type="number"
+                      placeholder={`Max ${column.max}`}
+                      value={filter.max}
+                      onChange={(event) => updateFilter(filter.key, { max: event.target.value })}
+                    />
+                  </div>
+                ) : (
+                  <div className="record-browser__facets">
+                    {column.facets.map((facet) => (
+                      <label key={facet.value}>
+                        <input
+                          type="checkbox"
+                          checked={filter.values.includes(facet.value)}
+                          onChange={() => toggleFacet(filter, facet.value)}
+                        />
+                        {facet.value} <small>{facet.count}</small>
+                      </label>
+                    ))}
+                    {column.distinct > column.facets.length && (
+                      <small>Showing the {column.facets.length} most common values.</small>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="record-browser__table">
+        <div className="record-browser__head" style={{ gridTemplateColumns, minWidth }}>
+          {visibleColumns.map((column) => (
+            <button
+              key={column.key}
+              className="record-browser__sort"
+              onClick={() => setSort((prev) => nextSort(prev, column.key))}
+            >
+              {column.key}
+              {sort?.key === column.key ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : ''}
+            </button>
+          ))}
+        </div>
+        <div
+          className="record-browser__viewport"
+          style={{ height: Math.min(VIEWPORT_HEIGHT, Math.max(rows.length, 1) * ROW_HEIGHT), minWidth }}
+          onScroll={(event) => setScrollTop(event.currentTarget.scrollTop)}
+        >
+          <div style={{ height: rows.length * ROW_HEIGHT, position: 'relative' }}>
+            {rows.slice(start, end).map((record, offset) => (
+              <div
+                key={start + offset}
+                className="record-browser__row"
+                style={{ gridTemplateColumns, top: (start + offset) * ROW_HEIGHT, height: ROW_HEIGHT }}
+              >
+                {visibleColumns.map((column) => (
+                  <span key={column.key} title={record[column.key]}>
+                    {record[column.key] ?? ''}
+                  </span>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+      <p className="catalog-card__hint">
+        Showing {rows.length} of {records.length} {label}.
+      </p>
+    </div>
+  );
+}
+
+export default RecordBrowser;
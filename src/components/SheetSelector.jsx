@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import { buildHeaderNames } from '../lib/parsing.js';
+
+const PREVIEW_ROWS = 3;
+
+function SheetSelector({ request, onConfirm, onCancel }) {
+  const [choices, setChoices] = useState(() =>
+    request.sheets.map((sheet, index) => ({
+      name: sheet.name,
+      selected: index === 0,
+      headerRow: sheet.headerRow,
+      headerRowCount: sheet.headerRowCount,
+    }))
+  );
+  const [previewName, setPreviewName] = useState(request.sheets[0]?.name);
+
+  const updateChoice = (name, field, value) => {
+    setChoices((prev) => prev.map((choice) => (choice.name === name ? { ...choice, [field]: value } : choice)));
+  };
+
+  const previewSheet = request.sheets.find((sheet) => sheet.name === previewName);
+  const previewChoice = choices.find((choice) => choice.name === previewName);
+  const previewHeaders = previewSheet
+    ? buildHeaderNames(previewSheet.preview, previewChoice.headerRow, previewChoice.headerRowCount)
+    : [];
+  const previewRows = previewSheet
+    ? previewSheet.preview
+        .slice(previewChoice.headerRow + previewChoice.headerRowCount)
+        .filter((row) => row.some((cell) => String(cell).trim()))
+        .slice(0, PREVIEW_ROWS)
+    : [];
+
+  const selected = choices.filter((choice) => choice.selected);
+
+  return (
+    <section className="panel mapping-wizard">
+      <div className="panel__header">
+        <h2>Choose sheets from {request.fileName}</h2>
+        <p>
+          {request.sheets.length} sheet(s) found. Header rows are detected automatically; adjust them if a title
+          block or multi-row header was misread.
+        </p>
+      </div>
+      <div className="sheet-selector">
+        <div className="sheet-selector__toolbar">
+          <button
+            className="button button--ghost"
+            onClick={() => setChoices((prev) => prev.map((choice) => ({ ...choice, selected: true })))}
+          >
+            Select all
+          </button>
+          <button
+            className="button button--ghost"
+            onClick={() => setChoices((prev) => prev.map((choice) => ({ ...choice, selected: false })))}
+          >
+            Select none
+          </button>
+        </div>
+        <table>
+          <thead>
+            <tr>
+              <th>Import</th>
+              <th>Sheet</th>
+              <th>Rows</th>
+              <th>Header row</th>
+              <th>Header depth</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {request.sheets.map((sheet) => {
+              const choice = choices.find((entry) => entry.name === sheet.name);
+              return (
+                <tr key={sheet.name} className={sheet.name === previewName ? 'sheet-selector__row--preview' : ''}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={choice.selected}
+                      onChange={(event) => updateChoice(sheet.name, 'selected', event.target.checked)}
+                    />
+                  </td>
+                  <td>{sheet.name}</td>
+                  <td>{sheet.rowCount}</td>
+                  <td>
+                    <input
+                      type="number"
+                      min={1}
+                      max={Math.max(sheet.rowCount, 1)}
+                      value={choice.headerRow + 1}
+                      onChange={(event) =>
+                        updateChoice(sheet.name, 'headerRow', Math.max((Number(event.target.value) || 1) - 1, 0))
+                      }
+                    />
+                  </td>
+                  <td>
+                    <select
+                      value={choice.headerRowCount}
+                      onChange={(event) => updateChoice(sheet.name, 'headerRowCount', Number(event.target.value))}
+                    >
+                      <option value={1}>1 row</option>
+                      <option value={2}>2 rows</option>
+                      <option value={3}>3 rows</option>
+                    </select>
+                  </td>
+                  <td>
+                    <button className="button button--ghost" onClick={() => setPreviewName(sheet.name)}>
+                      Preview
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {previewSheet && (
+        <div className="mapping-wizard__preview">
+          <table>
+            <thead>
+              <tr>
+                {previewHeaders.map((header) => (
+                  <th key={header}>{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {previewRows.map((row, index) => (
+                <tr key={index}>
+                  {previewHeaders.map((header, column) => (
+                    <td key={header}>{row[column] || '—'}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div className="panel__actions">
+        <button
+          className="button"
+          disabled={selected.length === 0}
+          onClick={() =>
+            onConfirm(selected.map(({ name, headerRow, headerRowCount }) => ({ name, headerRow, headerRowCount })))
+          }
+        >
+          Import {selected.length} sheet(s)
+        </button>
+        <button className="button button--ghost" onClick={onCancel}>
+          Skip file
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default SheetSelector;
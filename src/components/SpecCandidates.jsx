@@ -0,0 +1,48 @@
+import { formatConfidence } from '../lib/matching.js';
+import { PARAMETRIC_ATTRIBUTES, describeAttributes, formatAttribute } from '../lib/parametric.js';
+
+const ATTRIBUTE_LABELS = Object.fromEntries(PARAMETRIC_ATTRIBUTES.map(({ key, label }) => [key, label]));
+
+function SpecCandidates({ specification }) {
+  const { attributes, candidates } = specification;
+
+  return (
+    <div className="spec-candidates">
+      <p>Requested: {describeAttributes(attributes)}</p>
+      {candidates.length === 0 ? (
+        <p className="empty-copy">No catalog part shares enough of these attributes.</p>
+      ) : (
+        <ol className="spec-candidates__list">
+          {candidates.map((candidate) => (
+            <li key={`${candidate.source?.id}-${candidate.catalogIdentifier}`}>
+              <div className="spec-candidates__header">
+                <strong>{candidate.catalogIdentifier}</strong>
+                <span className="spec-candidates__score">{formatConfidence(candidate.score)}</span>
+                {candidate.source && <span className="match-source">{candidate.source.name}</span>}
+              </div>
+              <div className="spec-candidates__attributes">
+                {candidate.matched.map((key) => (
+                  <span key={key} className="spec-candidates__attribute spec-candidates__attribute--matched">
+                    ✓ {ATTRIBUTE_LABELS[key]} {formatAttribute(key, attributes[key])}
+                  </span>
+                ))}
+                {candidate.mismatched.map(({ key, requested, candidate: value }) => (
+                  <span key={key} className="spec-candidates__attribute spec-candidates__attribute--mismatched">
+                    ✗ {ATTRIBUTE_LABELS[key]} {formatAttribute(key, value)} (wanted {formatAttribute(key, requested)})
+                  </span>
+                ))}
+                {candidate.unknown.map((key) => (
+                  <span key={key} className="spec-candidates__attribute">
+                    ? {ATTRIBUTE_LABELS[key]} not listed
+                  </span>
+                ))}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default SpecCandidates;
@@ -0,0 +1,71 @@
+import { useState } from 'react';
+
+function UploadDropZone({ label, hint, pasteName, onFiles }) {
+  const [dragging, setDragging] = useState(false);
+  const [pasting, setPasting] = useState(false);
+  const [text, setText] = useState('');
+  const [name, setName] = useState(pasteName);
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragging(false);
+    const files = Array.from(event.dataTransfer.files || []);
+    if (files.length) {
+      onFiles(files);
+      return;
+    }
+    const dropped = event.dataTransfer.getData('text/plain');
+    if (dropped.trim()) {
+      setText(dropped);
+      setPasting(true);
+    }
+  };
+
+  const importText = () => {
+    const fileName = `${name.trim() || pasteName}.txt`;
+    onFiles([new File([text], fileName, { type: 'text/plain' })]);
+    setText('');
+    setPasting(false);
+  };
+
+  return (
+    <div className="upload-drop-zone">
+      <div
+        className={`upload-drop-zone__target ${dragging ? 'upload-drop-zone__target--active' : ''}`}
+        onDragOver={(event) => {
+          event.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+      >
+        <span>{label}</span>
+        <small>{hint}</small>
+        <button className="button button--ghost" onClick={() => setPasting((prev) => !prev)}>
+          {pasting ? 'Hide paste box' : 'Paste a table'}
+        </button>
+      </div>
+      {pasting && (
+        <div className="upload-drop-zone__paste">
+          <label>
+            <span>Name</span>
+            <input value={name} onChange={(event) => setName(event.target.value)} />
+          </label>
+          <textarea
+            rows={6}
+            value={text}
+            placeholder="Paste rows copied from a spreadsheet or email, including the header row"
+            onChange={(event) => setText(event.target.value)}
+          />
+          <div className="panel__actions">
+            <button className="button" onClick={importText} disabled={!text.trim()}>
+              Import pasted table
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default UploadDropZone;
@@ -0,0 +1,56 @@
+import { formatDate } from '../lib/format.js';
+
+function WorkspaceImport({ pending, onMerge, onReplace, onCancel }) {
+  const { summary } = pending;
+
+  return (
+    <section className="panel workspace-import">
+      <div className="panel__header">
+        <h2>Import workspace</h2>
+        <p>
+          {pending.name}
+          {pending.exportedAt ? ` • exported ${formatDate(pending.exportedAt)}` : ''}
+        </p>
+      </div>
+      <ul className="workspace-import__summary">
+        <li>
+          <strong>{summary.catalogs}</strong> catalogs ({summary.catalogRows} rows)
+        </li>
+        <li>
+          <strong>{summary.projects}</strong> projects with {summary.requestFiles} request files
+        </li>
+        <li>
+          <strong>{summary.briefs}</strong> AI briefs
+        </li>
+        <li>
+          <strong>{summary.mappings}</strong> learned part mappings
+        </li>
+        <li>
+          <strong>{summary.crossReferences}</strong> cross-reference files
+        </li>
+        <li>
+          <strong>{summary.matchRuns}</strong> logged matching runs
+        </li>
+      </ul>
+      <p className="catalog-card__hint">
+        Merge adds the bundle's catalogs, projects, mappings, match history, cross-references and playbook
+        templates to this workspace, keeping the newer copy of anything that exists in both, and keeps your own agent
+        steps, match rules and settings. Replace swaps the whole workspace, including agent steps and settings, for
+        the bundle.
+      </p>
+      <div className="panel__actions">
+        <button className="button" onClick={onMerge}>
+          Merge into this workspace
+        </button>
+        <button className="button button--ghost button--danger" onClick={onReplace}>
+          Replace this workspace
+        </button>
+        <button className="button button--ghost" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default WorkspaceImport;
@@ -0,0 +1,43 @@
+export const DEFAULT_API_BASE_URL = '/api';
+
+async function request(baseUrl, path, { method = 'GET', body, signal } = {}) {
+  let response;
+  try {
+    response = await fetch(`${baseUrl.replace(/\/+$/, '')}${path}`, {
+      method,
+      signal,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch (error) {
+    throw new Error(`Could not reach the product search server: ${error.message}`);
+  }
+
+  if (response.status === 204) return null;
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(data?.error?.message || `Server request failed with status ${response.status}.`);
+  }
+  return data;
+}
+
+export function createApiClient(baseUrl = DEFAULT_API_BASE_URL) {
+  return {
+    async listCatalogs() {
+      return (await request(baseUrl, '/catalogs')).catalogs;
+    },
+
+    async fetchCatalog(id) {
+      return (await request(baseUrl, `/catalogs/${encodeURIComponent(id)}`)).catalog;
+    },
+
+    async uploadCatalog({ name, records, mapping, pricing }) {
+      return (await request(baseUrl, '/catalogs', { method: 'POST', body: { name, records, mapping, pricing } }))
+        .catalog;
+    },
+
+    deleteCatalog(id) {
+      return request(baseUrl, `/catalogs/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    },
+  };
+}
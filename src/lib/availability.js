@@ -0,0 +1,68 @@
+import { getMappedValue } from './columns.js';
+
+export const AVAILABILITY_STATUSES = ['available', 'partial', 'leadTime', 'belowMoq', 'unknown'];
+
+export const AVAILABILITY_LABELS = {
+  available: 'Fully available',
+  partial: 'Partially available',
+  leadTime: 'Available after lead time',
+  belowMoq: 'Below MOQ',
+  unknown: 'Stock unknown',
+};
+
+export function parseQuantity(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = Number(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(parsed) && String(value).match(/\d/) ? parsed : null;
+}
+
+export function requestedQuantity(record, mapping) {
+  const quantity = parseQuantity(getMappedValue(record, mapping, 'quantity'));
+  return quantity && quantity > 0 ? quantity : 1;
+}
+
+export function assessAvailability(requested, catalogRecord, catalogMapping) {
+  const stock = parseQuantity(getMappedValue(catalogRecord, catalogMapping, 'stock'));
+  const moq = parseQuantity(getMappedValue(catalogRecord, catalogMapping, 'moq'));
+  const orderMultiple = parseQuantity(getMappedValue(catalogRecord, catalogMapping, 'orderMultiple'));
+  const leadTime = getMappedValue(catalogRecord, catalogMapping, 'leadTime');
+
+  let orderQuantity = Math.max(requested, moq || 0);
+  if (orderMultiple && orderMultiple > 1) {
+    orderQuantity = Math.ceil(orderQuantity / orderMultiple) * orderMultiple;
+  }
+
+  let status;
+  if (moq && requested < moq) {
+    status = 'belowMoq';
+  } else if (stock === null) {
+    status = 'unknown';
+  } else if (stock >= orderQuantity) {
+    status = 'available';
+  } else if (stock > 0) {
+    status = 'partial';
+  } else {
+    status = 'leadTime';
+  }
+
+  return {
+    status,
+    requested,
+    stock,
+    moq,
+    orderMultiple,
+    leadTime,
+    orderQuantity,
+    coveredQuantity: stock === null ? 0 : Math.min(requested, Math.max(stock, 0)),
+  };
+}
+
+export function describeAvailability(availability) {
+  const parts = [`Req ${availability.requested}`];
+  if (availability.stock !== null) parts.push(`Stock ${availability.stock}`);
+  if (availability.moq) parts.push(`MOQ ${availability.moq}`);
+  if (availability.orderMultiple > 1) parts.push(`Mult ${availability.orderMultiple}`);
+  if (availability.orderQuantity !== availability.requested) parts.push(`Order ${availability.orderQuantity}`);
+  if (availability.leadTime) parts.push(`Lead ${availability.leadTime}`);
+  return parts.join(' • ');
+}
@@ -0,0 +1,90 @@
+import { detectHeaders } from './columns.js';
+
+const NUMERIC_SHARE = 0.8;
+const FACET_LIMIT = 40;
+
+export function toNumber(value) {
+  if (value === undefined || value === null) return null;
+  const cleaned = String(value).replace(/[,\s$€£]/g, '');
+  if (cleaned === '' || !/^[-+]?\d*\.?\d+(e[-+]?\d+)?$/i.test(cleaned)) return null;
+  return Number(cleaned);
+}
+
+export function profileColumns(records) {
+  return detectHeaders(records).map((header) => {
+    const counts = new Map();
+    let filled = 0;
+    let numeric = 0;
+    let min = Infinity;
+    let max = -Infinity;
+
+    records.forEach((record) => {
+      const value = record[header];
+      if (value === undefined) return;
+      filled += 1;
+      counts.set(value, (counts.get(value) || 0) + 1);
+      const number = toNumber(value);
+      if (number !== null) {
+        numeric += 1;
+        min = Math.min(min, number);
+        max = Math.max(max, number);
+      }
+    });
+
+    const type = filled > 0 && numeric / filled >= NUMERIC_SHARE ? 'number' : 'text';
+    const facets = Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, FACET_LIMIT)
+      .map(([value, count]) => ({ value, count }));
+
+    return {
+      key: header,
+      type,
+      filled,
+      distinct: counts.size,
+      facets,
+      min: type === 'number' ? min : null,
+      max: type === 'number' ? max : null,
+    };
+  });
+}
+
+function matchesFilter(record, filter) {
+  const value = record[filter.key];
+  if (filter.type === 'number') {
+    const number = toNumber(value);
+    if (number === null) return filter.min === '' && filter.max === '';
+    if (filter.min !== '' && number < Number(filter.min)) return false;
+    if (filter.max !== '' && number > Number(filter.max)) return false;
+    return true;
+  }
+  return filter.values.length === 0 || filter.values.includes(value);
+}
+
+export function filterRecords(records, { query, filters }) {
+  const needle = query.trim().toLowerCase();
+
+  return records.filter((record) => {
+    if (needle && !Object.values(record).some((value) => String(value).toLowerCase().includes(needle))) {
+      return false;
+    }
+    return filters.every((filter) => matchesFilter(record, filter));
+  });
+}
+
+export function sortRecords(records, sort, columns) {
+  if (!sort) return records;
+  const column = columns.find((entry) => entry.key === sort.key);
+  const direction = sort.direction === 'desc' ? -1 : 1;
+
+  return [...records].sort((a, b) => {
+    const left = a[sort.key];
+    const right = b[sort.key];
+    if (left === undefined) return 1;
+    if (right === undefined) return -1;
+    if (column?.type === 'number') {
+      return ((toNumber(left) ?? 0) - (toNumber(right) ?? 0)) * direction;
+    }
+    return String(left).localeCompare(String(right), undefined, { numeric: true }) * direction;
+  });
+}
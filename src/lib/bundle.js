@@ -0,0 +1,269 @@
+import { WORKSPACE_SCHEMA_VERSION, migrateWorkspace } from './storage.js';
+
+export const BUNDLE_FORMAT = 'product-search-workspace';
+
+// Bundles were introduced with workspace schema 3; anything older was never exported by this app.
+const MIN_BUNDLE_SCHEMA_VERSION = 3;
+const MAX_REPORTED_ERRORS = 3;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+const optional = (spec) => ({ optional: spec });
+const mapOf = (spec) => ({ entries: spec });
+
+const AGENT_STEP = { title: 'string', description: 'string' };
+
+const UPLOADED_SOURCE = {
+  id: 'string',
+  name: 'string',
+  records: ['object'],
+  mapping: 'object?',
+};
+
+const CATALOG_PRICING = { currency: 'string', familyColumn: 'string', breaks: [{ minQuantity: 'number' }] };
+
+const MATCH_RULES = { prefixes: ['string'], suffixes: ['string'], maxDistance: 'number', minConfidence: 'number' };
+
+const PRICING_SETTINGS = { currency: 'string', rates: [{ code: 'string' }], rules: [{ type: 'string' }] };
+
+const WORKSPACE_SCHEMA = {
+  catalogs: [
+    {
+      ...UPLOADED_SOURCE,
+      mapping: 'object',
+      uploadedAt: 'date',
+      includeInSearch: 'boolean?',
+      pricing: CATALOG_PRICING,
+      revisions: optional([{ ...UPLOADED_SOURCE, uploadedAt: 'date' }]),
+    },
+  ],
+  activeCatalogId: 'string?',
+  searchMode: 'string?',
+  projects: [
+    {
+      id: 'string',
+      customer: 'string',
+      rfqNumber: 'string',
+      status: 'string',
+      clientSources: [UPLOADED_SOURCE],
+      aiBrief: 'string',
+      aiRecommendations: ['object'],
+      proposalDetails: 'object',
+      createdAt: 'date',
+      updatedAt: 'date',
+    },
+  ],
+  activeProjectId: 'string?',
+  customerMappings: mapOf(mapOf({ resolvedAt: 'date?' })),
+  matchHistory: optional([
+    {
+      id: 'string',
+      requestKey: 'string',
+      signature: 'string',
+      customer: 'string',
+      recordedAt: 'date',
+      total: 'number',
+      catalogs: ['object'],
+      found: ['object'],
+      alternates: ['object'],
+      missing: ['object'],
+    },
+  ]),
+  crossReferences: [{ ...UPLOADED_SOURCE, uploadedAt: 'date?' }],
+  agentSteps: [AGENT_STEP],
+  playbooks: [{ id: 'string', name: 'string', steps: [AGENT_STEP] }],
+  activePlaybookId: 'string?',
+  matchRules: MATCH_RULES,
+  pricingSettings: PRICING_SETTINGS,
+  llmSettings: 'object?',
+};
+
+function typeOf(value) {
+  if (value === null || value === undefined) return 'missing';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? 'invalid date' : 'date';
+  return typeof value;
+}
+
+function checkValue(value, spec, path, errors) {
+  if (errors.length >= MAX_REPORTED_ERRORS) return;
+  const actual = typeOf(value);
+
+  if (spec.optional) {
+    if (actual !== 'missing') checkValue(value, spec.optional, path, errors);
+    return;
+  }
+
+  if (typeof spec === 'string') {
+    const expected = spec.replace('?', '');
+    if (actual === 'missing' && spec.endsWith('?')) return;
+    if (actual !== expected) {
+      errors.push(`${path} should be ${expected === 'object' ? 'an' : 'a'} ${expected}, got ${actual}`);
+    }
+    return;
+  }
+
+  if (Array.isArray(spec)) {
+    if (actual !== 'array') {
+      errors.push(`${path} should be a list, got ${actual}`);
+      return;
+    }
+    value.forEach((item, index) => checkValue(item, spec[0], `${path}[${index}]`, errors));
+    return;
+  }
+
+  if (actual !== 'object') {
+    errors.push(`${path} should be an object, got ${actual}`);
+    return;
+  }
+  if (spec.entries) {
+    Object.entries(value).forEach(([key, item]) => checkValue(item, spec.entries, `${path}.${key}`, errors));
+    return;
+  }
+  Object.entries(spec).forEach(([key, child]) => checkValue(value[key], child, `${path}.${key}`, errors));
+}
+
+export function validateWorkspace(workspace) {
+  const errors = [];
+  checkValue(workspace, WORKSPACE_SCHEMA, 'workspace', errors);
+  if (errors.length) {
+    throw new Error(`The bundle does not match the workspace schema: ${errors.join('; ')}.`);
+  }
+  return workspace;
+}
+
+export function createWorkspaceBundle(workspace) {
+  return {
+    format: BUNDLE_FORMAT,
+    schemaVersion: WORKSPACE_SCHEMA_VERSION,
+    exportedAt: new Date(),
+    workspace: { ...workspace, schemaVersion: WORKSPACE_SCHEMA_VERSION },
+  };
+}
+
+export function serializeWorkspaceBundle(bundle) {
+  return JSON.stringify(bundle);
+}
+
+function reviveDate(value) {
+  return typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value;
+}
+
+// JSON has no date type, so only the fields the schema declares as dates are turned back into Date objects;
+// strings inside catalog rows and request records stay exactly as they were exported.
+function reviveDates(value, spec) {
+  if (spec.optional) return reviveDates(value, spec.optional);
+  if (typeof spec === 'string') return spec.startsWith('date') ? reviveDate(value) : value;
+  if (Array.isArray(spec)) return Array.isArray(value) ? value.map((item) => reviveDates(item, spec[0])) : value;
+  if (typeOf(value) !== 'object') return value;
+  if (spec.entries) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, reviveDates(item, spec.entries)]));
+  }
+
+  const revived = { ...value };
+  Object.entries(spec).forEach(([key, child]) => {
+    if (key in value) revived[key] = reviveDates(value[key], child);
+  });
+  return revived;
+}
+
+export function parseWorkspaceBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON, so it cannot be a workspace bundle.');
+  }
+
+  if (bundle?.format !== BUNDLE_FORMAT) {
+    throw new Error('The file is not a workspace bundle exported from this app.');
+  }
+  if (!Number.isInteger(bundle.schemaVersion) || typeOf(bundle.workspace) !== 'object') {
+    throw new Error('The bundle is missing its schema version or workspace data.');
+  }
+  if (bundle.schemaVersion > WORKSPACE_SCHEMA_VERSION) {
+    throw new Error(
+      `The bundle uses workspace schema version ${bundle.schemaVersion}, but this app only understands up to ` +
+        `${WORKSPACE_SCHEMA_VERSION}. Update the app before importing it.`
+    );
+  }
+  if (bundle.schemaVersion < MIN_BUNDLE_SCHEMA_VERSION) {
+    throw new Error(
+      `The bundle uses workspace schema version ${bundle.schemaVersion}, but bundles older than version ` +
+        `${MIN_BUNDLE_SCHEMA_VERSION} cannot be imported. Export it again from an up-to-date copy of the app.`
+    );
+  }
+
+  const workspace = validateWorkspace(
+    reviveDates(migrateWorkspace({ ...bundle.workspace, schemaVersion: bundle.schemaVersion }), WORKSPACE_SCHEMA)
+  );
+  const exportedAt = reviveDate(bundle.exportedAt);
+  return { exportedAt: exportedAt instanceof Date ? exportedAt : null, workspace };
+}
+
+export function summarizeWorkspace(workspace) {
+  return {
+    catalogs: workspace.catalogs.length,
+    catalogRows: workspace.catalogs.reduce((count, catalog) => count + catalog.records.length, 0),
+    projects: workspace.projects.length,
+    requestFiles: workspace.projects.reduce((count, project) => count + project.clientSources.length, 0),
+    crossReferences: workspace.crossReferences.length,
+    mappings: Object.values(workspace.customerMappings).reduce(
+      (count, mappings) => count + Object.keys(mappings).length,
+      0
+    ),
+    briefs: workspace.projects.filter((project) => project.aiBrief).length,
+    matchRuns: workspace.matchHistory?.length || 0,
+  };
+}
+
+function mergeById(current, incoming, timestampField) {
+  const merged = new Map(current.map((entry) => [entry.id, entry]));
+  incoming.forEach((entry) => {
+    const existing = merged.get(entry.id);
+    if (!existing || (timestampField && entry[timestampField] > existing[timestampField])) {
+      merged.set(entry.id, entry);
+    }
+  });
+  return Array.from(merged.values());
+}
+
+function mergeCustomerMappings(current, incoming) {
+  const merged = { ...current };
+  Object.entries(incoming).forEach(([customer, mappings]) => {
+    const next = { ...merged[customer] };
+    Object.entries(mappings).forEach(([part, resolution]) => {
+      if (!next[part] || resolution.resolvedAt > next[part].resolvedAt) next[part] = resolution;
+    });
+    merged[customer] = next;
+  });
+  return merged;
+}
+
+// Merging keeps the local agent steps, match rules and settings, adds everything else from the bundle,
+// and lets the newer copy win when a catalog, project or mapping exists on both sides.
+export function mergeWorkspaces(current, incoming) {
+  const projects = mergeById(current.projects, incoming.projects, 'updatedAt');
+  return {
+    ...current,
+    catalogs: mergeById(current.catalogs, incoming.catalogs, 'uploadedAt'),
+    projects,
+    activeProjectId: projects.some((project) => project.id === incoming.activeProjectId)
+      ? incoming.activeProjectId
+      : current.activeProjectId,
+    customerMappings: mergeCustomerMappings(current.customerMappings, incoming.customerMappings),
+    matchHistory: mergeById(current.matchHistory || [], incoming.matchHistory || []).sort(
+      (a, b) => a.recordedAt - b.recordedAt
+    ),
+    crossReferences: mergeById(current.crossReferences, incoming.crossReferences, 'uploadedAt'),
+    playbooks: mergeById(current.playbooks, incoming.playbooks),
+  };
+}
+
+export function downloadWorkspaceBundle(bundle, fileName) {
+  const url = URL.createObjectURL(new Blob([serializeWorkspaceBundle(bundle)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,170 @@
+import { IDENTIFIER_KEYS } from './records.js';
+
+export const UPLOAD_KIND_LABELS = {
+  catalog: 'Catalog',
+  replace: 'Catalog update',
+  client: 'Request list',
+  crossReference: 'Cross-reference',
+};
+
+export const MAPPING_FIELDS = [
+  { key: 'identifier', label: 'Identifier', required: true, candidates: IDENTIFIER_KEYS },
+  { key: 'quantity', label: 'Quantity', candidates: ['quantity', 'qty', 'qty.', 'order quantity', 'amount', 'count'] },
+  { key: 'description', label: 'Description', candidates: ['description', 'desc', 'part description', 'name'] },
+  { key: 'manufacturer', label: 'Manufacturer', candidates: ['manufacturer', 'mfr', 'mfg', 'brand', 'make', 'vendor'] },
+  { key: 'price', label: 'Price', candidates: ['unit price', 'price', 'unit cost', 'cost'] },
+  {
+    key: 'stock',
+    label: 'Stock',
+    catalogOnly: true,
+    candidates: ['stock', 'qty on hand', 'on hand', 'qty available', 'available', 'inventory'],
+  },
+  {
+    key: 'moq',
+    label: 'MOQ',
+    catalogOnly: true,
+    candidates: ['moq', 'minimum order quantity', 'min order qty', 'min qty', 'minimum'],
+  },
+  {
+    key: 'orderMultiple',
+    label: 'Order multiple',
+    catalogOnly: true,
+    candidates: ['order multiple', 'multiple', 'mult', 'spq', 'pack qty', 'package quantity'],
+  },
+  {
+    key: 'leadTime',
+    label: 'Lead time',
+    catalogOnly: true,
+    candidates: ['lead time', 'leadtime', 'lead time (weeks)', 'lt'],
+  },
+  {
+    key: 'lifecycle',
+    label: 'Lifecycle',
+    catalogOnly: true,
+    candidates: ['lifecycle', 'lifecycle status', 'life cycle', 'part status', 'product status', 'status'],
+  },
+  {
+    key: 'lastTimeBuy',
+    label: 'Last time buy',
+    catalogOnly: true,
+    candidates: ['last time buy', 'last time buy date', 'ltb', 'ltb date', 'last buy date', 'eol date'],
+  },
+  {
+    key: 'successor',
+    label: 'Successor',
+    catalogOnly: true,
+    candidates: ['successor', 'successor pn', 'replacement', 'replacement pn', 'replaced by', 'recommended replacement'],
+  },
+];
+
+export const CROSS_REFERENCE_FIELDS = [
+  {
+    key: 'from',
+    label: 'Requested PN',
+    required: true,
+    candidates: ['competitor pn', 'manufacturer pn', 'mfr pn', 'obsolete pn', 'old pn', 'from', 'source pn', 'mpn'],
+  },
+  {
+    key: 'to',
+    label: 'Our PN',
+    required: true,
+    candidates: ['our pn', 'our part number', 'internal pn', 'successor', 'replacement', 'new pn', 'to', 'target pn'],
+  },
+  { key: 'type', label: 'Relation type', candidates: ['type', 'relation', 'mapping type', 'reason'] },
+  { key: 'note', label: 'Note', candidates: ['note', 'notes', 'comment', 'remarks'] },
+];
+
+export function mappingFieldsFor(kind) {
+  if (kind === 'crossReference') return CROSS_REFERENCE_FIELDS;
+  return MAPPING_FIELDS.filter((field) => kind !== 'client' || !field.catalogOnly);
+}
+
+export function isMappingComplete(mapping, kind) {
+  return mappingFieldsFor(kind).every(({ key, required }) => !required || mapping[key]);
+}
+
+const MAPPING_STORAGE_KEY = 'productSearch.columnMappings';
+
+export function detectHeaders(records) {
+  const headers = new Set();
+  records.forEach((record) => {
+    Object.keys(record).forEach((key) => headers.add(key));
+  });
+  return Array.from(headers);
+}
+
+export function headerSignature(headers, kind) {
+  const columns = headers
+    .map((header) => header.toLowerCase())
+    .sort()
+    .join('|');
+  return `${kind}:${columns}`;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function suggestMapping(headers, kind = 'catalog') {
+  const lowerHeaders = headers.map((header) => header.toLowerCase());
+  const fields = mappingFieldsFor(kind);
+  const claimed = new Set();
+  const mapping = Object.fromEntries(fields.map(({ key }) => [key, '']));
+
+  const claim = (key, position) => {
+    claimed.add(position);
+    mapping[key] = headers[position];
+  };
+
+  fields.forEach(({ key, candidates }) => {
+    for (const candidate of candidates) {
+      const position = lowerHeaders.findIndex((header, index) => header === candidate && !claimed.has(index));
+      if (position !== -1) {
+        claim(key, position);
+        return;
+      }
+    }
+  });
+
+  fields.forEach(({ key, candidates }) => {
+    if (mapping[key]) return;
+    const patterns = candidates.map((candidate) => new RegExp(`(^|[^a-z0-9])${escapeRegExp(candidate)}($|[^a-z0-9])`));
+    const position = lowerHeaders.findIndex(
+      (header, index) => !claimed.has(index) && patterns.some((pattern) => pattern.test(header))
+    );
+    if (position !== -1) claim(key, position);
+  });
+
+  if ('identifier' in mapping && !mapping.identifier && headers.length > 0) {
+    mapping.identifier = headers[0];
+  }
+
+  return mapping;
+}
+
+function readSavedMappings() {
+  try {
+    return JSON.parse(localStorage.getItem(MAPPING_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function loadSavedMapping(signature) {
+  return readSavedMappings()[signature] || null;
+}
+
+export function saveMapping(signature, mapping) {
+  const saved = readSavedMappings();
+  saved[signature] = mapping;
+  try {
+    localStorage.setItem(MAPPING_STORAGE_KEY, JSON.stringify(saved));
+  } catch {
+    // Storage can be full or disabled; the mapping still applies to this upload.
+  }
+}
+
+export function getMappedValue(record, mapping, field) {
+  const column = mapping?.[field];
+  return column ? record[column] || '' : '';
+}
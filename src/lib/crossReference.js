@@ -0,0 +1,42 @@
+import { getMappedValue } from './columns.js';
+import { normalizeIdentifier } from './matching.js';
+
+export const CROSS_REFERENCE_TYPE_LABELS = {
+  cross: 'Cross-reference',
+  successor: 'Successor',
+  manual: 'Manual alternate',
+};
+
+const SUCCESSOR_PATTERN = /obsolete|successor|replac|supersed|eol|end of life/i;
+
+export function crossReferenceType(value) {
+  return SUCCESSOR_PATTERN.test(value || '') ? 'successor' : 'cross';
+}
+
+export function buildCrossReferenceIndex(files, rules) {
+  const index = new Map();
+
+  files.forEach((file) => {
+    file.records.forEach((record) => {
+      const from = getMappedValue(record, file.mapping, 'from').toUpperCase();
+      const to = getMappedValue(record, file.mapping, 'to').toUpperCase();
+      if (!from || !to) return;
+
+      const key = normalizeIdentifier(from, rules);
+      if (!key) return;
+      if (!index.has(key)) {
+        index.set(key, []);
+      }
+      index.get(key).push({
+        from,
+        to,
+        type: crossReferenceType(getMappedValue(record, file.mapping, 'type')),
+        note: getMappedValue(record, file.mapping, 'note'),
+        fileId: file.id,
+        fileName: file.name,
+      });
+    });
+  });
+
+  return index;
+}
@@ -0,0 +1,210 @@
+import * as XLSX from 'xlsx';
+import { isConfirmedMatch, normalizeIdentifier } from './matching.js';
+import { projectName } from './projects.js';
+
+export const HISTORY_LIMIT = 500;
+
+const TREND_LIMIT = 12;
+const UNNAMED_CUSTOMER = 'Unnamed customer';
+
+function runSignature(key, catalogs) {
+  const catalogKeys = catalogs.map((catalog) => `${catalog.id}@${new Date(catalog.uploadedAt).getTime()}`);
+  return [key, ...catalogKeys.sort()].join('|');
+}
+
+function percentage(part, total) {
+  return total ? Math.round((part / total) * 100) : 0;
+}
+
+function matchedLine(item) {
+  return { identifier: item.identifier, quantity: item.availability.requested, catalogId: item.source?.id || null };
+}
+
+// One run per request file, so adding a second file to a project does not count the first one twice.
+export function createMatchRuns({ project, sources, catalogs, result }) {
+  const recordedAt = new Date();
+  return sources.map((source) => {
+    const fromSource = (item) => item.requestSource?.id === source.id;
+    const found = result.found.filter((item) => fromSource(item) && isConfirmedMatch(item));
+    const key = `${project.id}:${source.id}`;
+    return {
+      id: crypto.randomUUID(),
+      requestKey: key,
+      signature: runSignature(key, catalogs),
+      projectId: project.id,
+      projectName: projectName(project),
+      requestName: source.name,
+      customer: project.customer.trim(),
+      recordedAt,
+      total: source.records.length,
+      coverage: percentage(found.length, source.records.length),
+      catalogs: catalogs.map(({ id, name }) => ({ id, name })),
+      found: found.map(matchedLine),
+      alternates: result.alternates.filter(fromSource).map(matchedLine),
+      missing: result.missing.filter(fromSource).map(({ identifier, quantity }) => ({ identifier, quantity })),
+    };
+  });
+}
+
+function sameOutcome(previous, run) {
+  return (
+    previous.customer === run.customer &&
+    previous.projectName === run.projectName &&
+    previous.requestName === run.requestName &&
+    previous.coverage === run.coverage &&
+    previous.total === run.total &&
+    previous.found.length === run.found.length &&
+    previous.alternates.length === run.alternates.length &&
+    previous.missing.length === run.missing.length
+  );
+}
+
+// Re-matching a request file against the same catalogs (after a resolution, a rename, a reload) updates its
+// existing entry; a catalog upload starts a new one so trends keep the old result. With appendNew off, runs
+// without an existing entry are dropped.
+export function recordMatchRuns(history, runs, { appendNew = true } = {}) {
+  let next = history;
+  runs.forEach((run) => {
+    const index = next.findIndex((entry) => entry.signature === run.signature);
+    if (index === -1) {
+      if (appendNew) next = [...next, run];
+    } else if (!sameOutcome(next[index], run)) {
+      next = next.map((entry, position) =>
+        position === index ? { ...run, id: entry.id, recordedAt: entry.recordedAt } : entry
+      );
+    }
+  });
+  return next.length > HISTORY_LIMIT ? next.slice(-HISTORY_LIMIT) : next;
+}
+
+function latestRuns(history) {
+  const latest = new Map();
+  history.forEach((run) => {
+    const previous = latest.get(run.requestKey);
+    if (!previous || run.recordedAt >= previous.recordedAt) latest.set(run.requestKey, run);
+  });
+  return Array.from(latest.values());
+}
+
+function dayKey(date) {
+  const value = new Date(date);
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+}
+
+function missingParts(runs, rules) {
+  const parts = new Map();
+  runs.forEach((run) => {
+    run.missing.forEach(({ identifier, quantity }) => {
+      if (!identifier) return;
+      const key = normalizeIdentifier(identifier, rules) || identifier;
+      const part = parts.get(key) || {
+        identifier,
+        requests: new Set(),
+        lines: 0,
+        quantity: 0,
+        customers: new Set(),
+        firstRequested: run.recordedAt,
+        lastRequested: run.recordedAt,
+      };
+      part.requests.add(run.requestKey);
+      part.lines += 1;
+      part.quantity += Number(quantity) || 0;
+      part.customers.add(run.customer || UNNAMED_CUSTOMER);
+      if (run.recordedAt < part.firstRequested) part.firstRequested = run.recordedAt;
+      if (run.recordedAt > part.lastRequested) part.lastRequested = run.recordedAt;
+      parts.set(key, part);
+    });
+  });
+
+  return Array.from(parts.values())
+    .map((part) => ({ ...part, requests: part.requests.size, customers: Array.from(part.customers).sort() }))
+    .sort((a, b) => b.requests - a.requests || b.quantity - a.quantity || a.identifier.localeCompare(b.identifier));
+}
+
+function coverageTrend(history) {
+  const days = new Map();
+  history.forEach((run) => {
+    const key = dayKey(run.recordedAt);
+    const day = days.get(key) || { day: key, runs: 0, lines: 0, found: 0 };
+    day.runs += 1;
+    day.lines += run.total;
+    day.found += run.found.length;
+    days.set(key, day);
+  });
+
+  return Array.from(days.values())
+    .sort((a, b) => a.day.localeCompare(b.day))
+    .slice(-TREND_LIMIT)
+    .map((day) => ({ ...day, coverage: percentage(day.found, day.lines) }));
+}
+
+function coverageByCustomer(runs) {
+  const customers = new Map();
+  runs.forEach((run) => {
+    const name = run.customer || UNNAMED_CUSTOMER;
+    const customer = customers.get(name) || { customer: name, requests: 0, lines: 0, found: 0, missing: 0 };
+    customer.requests += 1;
+    customer.lines += run.total;
+    customer.found += run.found.length;
+    customer.missing += run.missing.length;
+    customers.set(name, customer);
+  });
+
+  return Array.from(customers.values())
+    .map((customer) => ({ ...customer, coverage: percentage(customer.found, customer.lines) }))
+    .sort((a, b) => b.lines - a.lines);
+}
+
+function catalogContributions(runs) {
+  const catalogs = new Map();
+  let total = 0;
+  runs.forEach((run) => {
+    const names = new Map(run.catalogs.map((catalog) => [catalog.id, catalog.name]));
+    [...run.found, ...run.alternates].forEach(({ catalogId }) => {
+      const key = catalogId || 'unknown';
+      const catalog = catalogs.get(key) || { id: key, name: names.get(catalogId) || 'Unknown catalog', matches: 0 };
+      catalog.matches += 1;
+      total += 1;
+      catalogs.set(key, catalog);
+    });
+  });
+
+  return Array.from(catalogs.values())
+    .map((catalog) => ({ ...catalog, share: percentage(catalog.matches, total) }))
+    .sort((a, b) => b.matches - a.matches);
+}
+
+// Rankings and per-customer coverage use the latest run of each request so a request re-matched against
+// newer catalogs is not counted twice; the trend uses every run.
+export function analyzeDemand(history, rules) {
+  const runs = latestRuns(history);
+  return {
+    runs: history.length,
+    requests: runs.length,
+    missingParts: missingParts(runs, rules),
+    trend: coverageTrend(history),
+    customers: coverageByCustomer(runs),
+    catalogs: catalogContributions(runs),
+  };
+}
+
+export function buildDemandGapRows(analysis) {
+  return analysis.missingParts.map((part, index) => ({
+    Rank: index + 1,
+    'Part Number': part.identifier,
+    Requests: part.requests,
+    Lines: part.lines,
+    'Total Quantity': part.quantity,
+    Customers: part.customers.join('; '),
+    'First Requested': dayKey(part.firstRequested),
+    'Last Requested': dayKey(part.lastRequested),
+  }));
+}
+
+export function downloadDemandGaps(analysis, fileName) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(buildDemandGapRows(analysis)), 'Demand Gaps');
+  XLSX.writeFile(workbook, fileName, { bookType: 'csv' });
+}
@@ -0,0 +1,151 @@
+const DESIGNATOR_HEADERS = ['designator', 'designators', 'reference', 'references', 'ref', 'refs', 'ref des', 'refdes'];
+const QUANTITY_HEADERS = ['quantity', 'qty', 'qty.', 'count'];
+const FITTED_HEADERS = ['fitted', 'populate', 'assembly'];
+const DNP_HEADERS = ['dnp', 'do not populate', ...FITTED_HEADERS];
+const PART_HEADERS = [
+  'manufacturer part number',
+  'mfr part number',
+  'mpn',
+  'part number',
+  'comment',
+  'value',
+  'libref',
+  'lib ref',
+];
+const FOOTPRINT_HEADERS = ['footprint', 'package', 'pcb footprint'];
+const ALTIUM_HEADERS = ['libref', 'lib ref'];
+const EDA_MARKER_HEADERS = ['footprint', 'pcb footprint', ...ALTIUM_HEADERS];
+
+const DESIGNATOR_PATTERN = /^[A-Z]{1,4}\d+[A-Z]?$/;
+const RANGE_PATTERN = /^([A-Z]{1,4})(\d+)\s*(?:-|\.\.)\s*(?:[A-Z]{1,4})?(\d+)$/;
+const MAX_RANGE = 500;
+
+export const EDA_LAYOUT_LABELS = {
+  kicad: 'KiCad BOM',
+  altium: 'Altium BOM',
+};
+
+function findHeader(headers, candidates) {
+  const lowerHeaders = headers.map((header) => header.toLowerCase().trim());
+  const match = candidates.find((candidate) => lowerHeaders.includes(candidate));
+  return match ? headers[lowerHeaders.indexOf(match)] : undefined;
+}
+
+export function expandDesignators(value) {
+  return String(value || '')
+    .toUpperCase()
+    .replace(/\s*(-|\.\.)\s*/g, '$1')
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .flatMap((token) => {
+      const range = token.match(RANGE_PATTERN);
+      if (!range) return [token];
+      const [, prefix, from, to] = range;
+      const start = Number(from);
+      const end = Number(to);
+      if (end < start || end - start > MAX_RANGE) return [token];
+      return Array.from({ length: end - start + 1 }, (_, offset) => `${prefix}${start + offset}`);
+    });
+}
+
+function isDoNotPopulate(header, value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return false;
+  if (FITTED_HEADERS.includes(header.toLowerCase().trim())) {
+    return /^(no|false|0|not fitted|dnp|dnf)$/.test(text);
+  }
+  return /^(yes|true|1|x|dnp|dnf)$/.test(text);
+}
+
+// Only exports with a designator column, an EDA footprint or library column and a part column count as a BOM,
+// so request lists that merely have a "Reference" column are left alone.
+export function detectEdaLayout(records) {
+  const headers = Array.from(new Set(records.slice(0, 50).flatMap((record) => Object.keys(record))));
+  const designator = findHeader(headers, DESIGNATOR_HEADERS);
+  const part = findHeader(headers, PART_HEADERS);
+  if (!designator || !part || !findHeader(headers, EDA_MARKER_HEADERS)) return null;
+
+  const sample = records.slice(0, 50).filter((record) => record[designator]);
+  const valid = sample.filter((record) =>
+    expandDesignators(record[designator]).every((ref) => DESIGNATOR_PATTERN.test(ref))
+  );
+  if (!sample.length || valid.length / sample.length < 0.8) return null;
+
+  const altium = findHeader(headers, ALTIUM_HEADERS) || designator.toLowerCase().trim() === 'designator';
+
+  return {
+    layout: altium ? 'altium' : 'kicad',
+    designator,
+    quantity: findHeader(headers, QUANTITY_HEADERS) || null,
+    dnp: findHeader(headers, DNP_HEADERS) || null,
+    part,
+    footprint: findHeader(headers, FOOTPRINT_HEADERS) || null,
+  };
+}
+
+function partKey(record, columns) {
+  const part = String(record[columns.part] || '').trim().toUpperCase();
+  if (!part) return null;
+  const footprint = columns.footprint ? String(record[columns.footprint] || '').trim().toUpperCase() : '';
+  return `${part}\u0000${footprint}`;
+}
+
+export function importEdaBom(records) {
+  const columns = detectEdaLayout(records);
+  if (!columns) return { records, bomImport: null };
+
+  const quantityColumn = columns.quantity || 'Quantity';
+  const lines = new Map();
+  let designatorCount = 0;
+  let skipped = 0;
+
+  records.forEach((record, row) => {
+    if (columns.dnp && isDoNotPopulate(columns.dnp, record[columns.dnp])) {
+      skipped += 1;
+      return;
+    }
+
+    const designators = expandDesignators(record[columns.designator]);
+    const listed = Number(String(record[columns.quantity] || '').replace(/[^0-9.]/g, ''));
+    const quantity = designators.length || (Number.isFinite(listed) && listed > 0 ? listed : 1);
+    designatorCount += designators.length;
+
+    const key = partKey(record, columns) ?? `row:${row}`;
+    const line = lines.get(key);
+    if (line) {
+      line.designators.push(...designators);
+      line.quantity += quantity;
+      return;
+    }
+    lines.set(key, { record, designators: [...designators], quantity });
+  });
+
+  const imported = Array.from(lines.values()).map(({ record, designators, quantity }) => ({
+    ...record,
+    [columns.designator]: designators.join(', '),
+    [quantityColumn]: String(quantity),
+  }));
+
+  return {
+    records: imported,
+    bomImport: {
+      layout: columns.layout,
+      designators: designatorCount,
+      rows: records.length,
+      lines: imported.length,
+      skipped,
+      mapping: { identifier: columns.part, quantity: quantityColumn },
+    },
+  };
+}
+
+export function describeBomImport(bomImport) {
+  if (!bomImport) return '';
+  return [
+    EDA_LAYOUT_LABELS[bomImport.layout],
+    `${bomImport.designators} designators from ${bomImport.rows} rows → ${bomImport.lines} lines`,
+    bomImport.skipped && `${bomImport.skipped} DNP rows skipped`,
+  ]
+    .filter(Boolean)
+    .join(' • ');
+}
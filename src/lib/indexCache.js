@@ -0,0 +1,35 @@
+import { indexCatalogInBackground } from './workerClient.js';
+
+const cache = new WeakMap();
+
+function cacheKey(mapping, rules) {
+  return JSON.stringify([mapping?.identifier || '', mapping?.description || '', rules.prefixes, rules.suffixes]);
+}
+
+export function getCachedIndex(records, mapping, rules) {
+  const entry = cache.get(records);
+  return entry?.key === cacheKey(mapping, rules) && !(entry.index instanceof Promise) ? entry.index : null;
+}
+
+// Only the latest key is kept per catalog, so changing the rules replaces its index instead of adding one.
+export function ensureIndex(records, mapping, rules) {
+  const key = cacheKey(mapping, rules);
+  const cached = cache.get(records);
+  if (cached?.key === key) {
+    return Promise.resolve(cached.index);
+  }
+
+  const entry = { key, index: null };
+  entry.index = indexCatalogInBackground(records, mapping, rules).then(
+    (index) => {
+      entry.index = index;
+      return index;
+    },
+    (error) => {
+      if (cache.get(records) === entry) cache.delete(records);
+      throw error;
+    }
+  );
+  cache.set(records, entry);
+  return entry.index;
+}
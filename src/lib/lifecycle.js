@@ -0,0 +1,53 @@
+import { getMappedValue } from './columns.js';
+
+export const LIFECYCLE_STATUSES = ['active', 'nrnd', 'lastTimeBuy', 'obsolete', 'unknown'];
+
+export const AT_RISK_STATUSES = ['nrnd', 'lastTimeBuy', 'obsolete'];
+
+export const LIFECYCLE_LABELS = {
+  active: 'Active',
+  nrnd: 'NRND',
+  lastTimeBuy: 'Last time buy',
+  obsolete: 'Obsolete',
+  unknown: 'Lifecycle unknown',
+};
+
+const LIFECYCLE_PATTERNS = [
+  ['nrnd', /\bnrnd\b|not recommended/],
+  ['lastTimeBuy', /\bltb\b|last[\s-]*(time[\s-]*)?buy|\beol\b|end[\s-]*of[\s-]*life/],
+  ['obsolete', /obsolete|discontinued|inactive|withdrawn|\bdead\b/],
+  ['active', /active|production|released|preferred|current/],
+];
+
+export function normalizeLifecycle(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return 'unknown';
+  return LIFECYCLE_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || 'unknown';
+}
+
+export function isAtRisk(lifecycle) {
+  return AT_RISK_STATUSES.includes(lifecycle?.status);
+}
+
+export function assessLifecycle(catalogRecord, catalogMapping) {
+  const value = getMappedValue(catalogRecord, catalogMapping, 'lifecycle');
+  return {
+    status: normalizeLifecycle(value),
+    value,
+    lastTimeBuy: getMappedValue(catalogRecord, catalogMapping, 'lastTimeBuy'),
+    successor: String(getMappedValue(catalogRecord, catalogMapping, 'successor')).toUpperCase(),
+  };
+}
+
+export function describeLifecycle(lifecycle) {
+  if (!lifecycle) return '';
+  const label =
+    lifecycle.status === 'unknown' && lifecycle.value ? lifecycle.value : LIFECYCLE_LABELS[lifecycle.status];
+  return [
+    label,
+    lifecycle.lastTimeBuy && `LTB ${lifecycle.lastTimeBuy}`,
+    lifecycle.successor && `Successor ${lifecycle.successor}`,
+  ]
+    .filter(Boolean)
+    .join(' • ');
+}
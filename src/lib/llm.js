@@ -0,0 +1,257 @@
+export const LLM_PROVIDERS = {
+  server: {
+    label: 'Product search server',
+    baseUrl: '/api',
+    model: '',
+    requiresKey: false,
+  },
+  openai: {
+    label: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    requiresKey: true,
+  },
+  local: {
+    label: 'Local OpenAI-compatible (Ollama, llama.cpp)',
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    requiresKey: false,
+  },
+  mock: {
+    label: 'Mock (offline)',
+    baseUrl: '',
+    model: 'mock',
+    requiresKey: false,
+  },
+};
+
+export const DEFAULT_LLM_SETTINGS = {
+  provider: 'server',
+  baseUrl: LLM_PROVIDERS.server.baseUrl,
+  model: LLM_PROVIDERS.server.model,
+  temperature: 0.4,
+  maxTokens: 900,
+};
+
+// Providers that need an API key are only reachable through the server, so no key ever ships to the browser.
+export const BROWSER_LLM_PROVIDERS = Object.keys(LLM_PROVIDERS).filter((key) => !LLM_PROVIDERS[key].requiresKey);
+
+const MOCK_TOKEN_DELAY = 12;
+
+export class LlmCancelledError extends Error {
+  constructor() {
+    super('Generation was cancelled.');
+    this.name = 'LlmCancelledError';
+  }
+}
+
+export function settingsForProvider(provider) {
+  const defaults = LLM_PROVIDERS[provider] || LLM_PROVIDERS.openai;
+  return { ...DEFAULT_LLM_SETTINGS, provider, baseUrl: defaults.baseUrl, model: defaults.model };
+}
+
+export function browserLlmSettings(settings) {
+  return settings && BROWSER_LLM_PROVIDERS.includes(settings.provider) ? settings : DEFAULT_LLM_SETTINGS;
+}
+
+export function parseSseEvents(buffer) {
+  const events = buffer.split(/\r?\n\r?\n/);
+  const rest = events.pop();
+  const payloads = events
+    .map((event) =>
+      event
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trim())
+        .join('\n')
+    )
+    .filter(Boolean);
+  return { payloads, rest };
+}
+
+async function readErrorMessage(response) {
+  try {
+    const data = await response.json();
+    return data.error?.message || data.error || `Request failed with status ${response.status}.`;
+  } catch {
+    return `Request failed with status ${response.status}.`;
+  }
+}
+
+async function postStream(url, { headers = {}, body, signal }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      signal,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+  } catch (error) {
+    if (signal?.aborted) throw new LlmCancelledError();
+    throw new Error(`Could not reach ${url}: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(await readErrorMessage(response));
+  }
+  return response;
+}
+
+async function readSseStream(response, signal, onPayload) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      buffer += decoder.decode(value, { stream: true });
+      const { payloads, rest } = parseSseEvents(buffer);
+      buffer = rest;
+
+      for (const payload of payloads) {
+        if (payload === '[DONE]') return;
+        onPayload(JSON.parse(payload));
+      }
+    }
+  } catch (error) {
+    if (signal?.aborted) throw new LlmCancelledError();
+    throw error;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+function createOpenAiCompatibleProvider(settings, apiKey) {
+  return {
+    async stream({ system, user, json }, { signal, onToken } = {}) {
+      if (LLM_PROVIDERS[settings.provider]?.requiresKey && !apiKey) {
+        throw new Error(`${LLM_PROVIDERS[settings.provider].label} needs an API key. Set LLM_API_KEY on the server.`);
+      }
+
+      const response = await postStream(`${settings.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        signal,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body: {
+          model: settings.model,
+          temperature: settings.temperature,
+          max_tokens: settings.maxTokens,
+          stream: true,
+          ...(json ? { response_format: { type: 'json_object' } } : {}),
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: user },
+          ],
+        },
+      });
+
+      let text = '';
+      await readSseStream(response, signal, (event) => {
+        const token = event.choices?.[0]?.delta?.content || '';
+        if (!token) return;
+        text += token;
+        onToken?.(token, text);
+      });
+      return text;
+    },
+  };
+}
+
+function createServerProvider(settings) {
+  return {
+    async stream({ system, user, json }, { signal, onToken } = {}) {
+      const response = await postStream(`${settings.baseUrl.replace(/\/+$/, '')}/brief`, {
+        signal,
+        body: {
+          system,
+          user,
+          json: Boolean(json),
+          model: settings.model || undefined,
+          temperature: settings.temperature,
+          maxTokens: settings.maxTokens,
+        },
+      });
+
+      let text = '';
+      await readSseStream(response, signal, (event) => {
+        if (event.error) throw new Error(event.error);
+        if (!event.token) return;
+        text += event.token;
+        onToken?.(event.token, text);
+      });
+      return text;
+    },
+  };
+}
+
+function mockRecommendations(user) {
+  let parts = [];
+  try {
+    parts = JSON.parse(user).parts || [];
+  } catch {
+    parts = [];
+  }
+
+  return JSON.stringify({
+    recommendations: parts.map((part) => {
+      const candidate = part.candidates?.[0];
+      return {
+        part: part.identifier,
+        alternate: candidate?.partNumber || null,
+        reasoning: candidate
+          ? `Closest catalog part number (${candidate.distance} character edit${candidate.distance === 1 ? '' : 's'} away).`
+          : 'No similar part number in the catalog.',
+        confidence: candidate ? Math.max(10, 90 - candidate.distance * 20) / 100 : 0,
+      };
+    }),
+  });
+}
+
+export function mockCompletion({ system, user, json }) {
+  if (json) return mockRecommendations(user);
+
+  const steps = system
+    .split('\n')
+    .filter((line) => /^\d+\. /.test(line))
+    .map((line) => line.replace(/:.*$/, ''));
+  const facts = user
+    .split('\n')
+    .filter((line) => /^(Coverage|Quantity coverage|Quote total|Lifecycle|Missing identifiers|Proposed alternates):/.test(line));
+
+  return [
+    'Mock brief (offline provider)',
+    ...(steps.length ? steps.map((step) => `${step} — reviewed against the current match results.`) : []),
+    ...facts,
+    'Next step: confirm alternates with the customer and chase lead times for uncovered lines.',
+  ].join('\n');
+}
+
+function createMockProvider() {
+  return {
+    async stream(prompt, { signal, onToken } = {}) {
+      const tokens = mockCompletion(prompt).match(/\S+\s*/g) || [];
+      let text = '';
+
+      for (const token of tokens) {
+        if (signal?.aborted) throw new LlmCancelledError();
+        await new Promise((resolve) => setTimeout(resolve, MOCK_TOKEN_DELAY));
+        text += token;
+        onToken?.(token, text);
+      }
+
+      return text;
+    },
+  };
+}
+
+export function createLlmProvider(settings, { apiKey } = {}) {
+  if (settings.provider === 'mock') {
+    return createMockProvider();
+  }
+  if (settings.provider === 'server') {
+    return createServerProvider(settings);
+  }
+  return createOpenAiCompatibleProvider(settings, apiKey);
+}
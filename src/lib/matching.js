@@ -0,0 +1,350 @@
+import { assessAvailability, requestedQuantity } from './availability.js';
+import { assessLifecycle } from './lifecycle.js';
+import {
+  MIN_PARAMETRIC_ATTRIBUTES,
+  buildParametricIndex,
+  findParametricCandidates,
+  requestAttributes,
+} from './parametric.js';
+import { extractIdentifier } from './records.js';
+
+export const MATCH_TIERS = ['exact', 'normalized', 'fuzzy', 'manual'];
+
+export const MATCH_TIER_LABELS = {
+  exact: 'Exact',
+  normalized: 'Normalized',
+  fuzzy: 'Fuzzy',
+  manual: 'Manual',
+};
+
+export const DEFAULT_MATCH_RULES = {
+  prefixes: [],
+  suffixes: ['-TR', '-ND', '-CT', '-DKR', '-REEL', '/TR', '#PBF'],
+  maxDistance: 2,
+  minConfidence: 0.8,
+};
+
+const NORMALIZED_CONFIDENCE = 0.95;
+
+export function parseRuleList(value) {
+  return String(value || '')
+    .split(',')
+    .map((entry) => entry.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+export function normalizeIdentifier(identifier, rules = DEFAULT_MATCH_RULES) {
+  let value = String(identifier || '').trim().toUpperCase();
+
+  for (const prefix of rules.prefixes) {
+    if (value.startsWith(prefix) && value.length > prefix.length) {
+      value = value.slice(prefix.length);
+      break;
+    }
+  }
+
+  for (const suffix of rules.suffixes) {
+    if (value.endsWith(suffix) && value.length > suffix.length) {
+      value = value.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  return value.replace(/[^A-Z0-9]/g, '');
+}
+
+function boundedDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+export function describeSource(catalog) {
+  return catalog ? { id: catalog.id, name: catalog.name, mapping: catalog.mapping || null } : null;
+}
+
+export function indexCatalogRecords(records, mapping = null, rules = DEFAULT_MATCH_RULES) {
+  const exact = new Map();
+  const normalized = new Map();
+  const byLength = new Map();
+
+  records.forEach((record, row) => {
+    const identifier = extractIdentifier(record, mapping);
+    if (!identifier) return;
+
+    if (!exact.has(identifier)) exact.set(identifier, row);
+
+    const key = normalizeIdentifier(identifier, rules);
+    if (!key || normalized.has(key)) return;
+    normalized.set(key, row);
+    if (!byLength.has(key.length)) {
+      byLength.set(key.length, []);
+    }
+    byLength.get(key.length).push(key);
+  });
+
+  return { exact, normalized, byLength, parametric: buildParametricIndex(records, mapping) };
+}
+
+export function catalogLayer(catalog, index) {
+  return { source: describeSource(catalog), records: catalog.records, mapping: catalog.mapping || null, index };
+}
+
+export function createCatalogSearch(layers, rules = DEFAULT_MATCH_RULES) {
+  return { layers, rules };
+}
+
+export function buildCatalogIndex(records, rules = DEFAULT_MATCH_RULES, mapping = null, source = null) {
+  return createCatalogSearch(
+    [{ source, records, mapping, index: indexCatalogRecords(records, mapping, rules) }],
+    rules
+  );
+}
+
+export function buildCombinedIndex(catalogs, rules = DEFAULT_MATCH_RULES) {
+  return createCatalogSearch(
+    catalogs.map((catalog) => catalogLayer(catalog, indexCatalogRecords(catalog.records, catalog.mapping, rules))),
+    rules
+  );
+}
+
+// Fuzzy hits are suggestions: they stay out of coverage and pricing until a resolution confirms them.
+export function isConfirmedMatch(item) {
+  return item.tier !== 'fuzzy';
+}
+
+function findFuzzyCandidate(search, key) {
+  const { maxDistance, minConfidence } = search.rules;
+  let best = null;
+  let ties = [];
+
+  search.layers.forEach((layer) => {
+    for (let length = key.length - maxDistance; length <= key.length + maxDistance; length += 1) {
+      const bucket = layer.index.byLength.get(length);
+      if (!bucket) continue;
+
+      for (const candidate of bucket) {
+        const limit = best ? Math.min(best.distance, maxDistance) : maxDistance;
+        const distance = boundedDistance(key, candidate, limit);
+        if (distance > limit) continue;
+        if (best && distance === best.distance) {
+          const seen = candidate === best.key || ties.some((tie) => tie.key === candidate);
+          if (!seen) ties.push({ layer, key: candidate });
+          continue;
+        }
+        best = { layer, key: candidate, distance };
+        ties = [];
+      }
+    }
+  });
+
+  if (!best) return null;
+
+  const confidence = 1 - best.distance / Math.max(key.length, best.key.length);
+  if (confidence < minConfidence) return null;
+
+  const identifierOf = ({ layer, key: candidate }) =>
+    extractIdentifier(layer.records[layer.index.normalized.get(candidate)], layer.mapping);
+  return {
+    layer: best.layer,
+    row: best.layer.index.normalized.get(best.key),
+    confidence,
+    ties: ties.map(identifierOf),
+  };
+}
+
+export function findCandidates(search, identifier, { limit = 5, maxDistance = 4 } = {}) {
+  const key = normalizeIdentifier(identifier, search.rules);
+  if (!key) return [];
+  const candidates = [];
+  const seen = new Set();
+
+  search.layers.forEach((layer) => {
+    for (let length = key.length - maxDistance; length <= key.length + maxDistance; length += 1) {
+      const bucket = layer.index.byLength.get(length);
+      if (!bucket) continue;
+
+      for (const candidate of bucket) {
+        if (seen.has(candidate)) continue;
+        const worst = candidates.length === limit ? candidates[limit - 1].distance : maxDistance;
+        const distance = boundedDistance(key, candidate, worst);
+        if (distance > worst || (candidates.length === limit && distance === worst)) continue;
+
+        seen.add(candidate);
+        const record = layer.records[layer.index.normalized.get(candidate)];
+        candidates.push({
+          catalog: record,
+          catalogIdentifier: extractIdentifier(record, layer.mapping),
+          source: layer.source,
+          distance,
+        });
+        candidates.sort((a, b) => a.distance - b.distance);
+        if (candidates.length > limit) candidates.pop();
+      }
+    }
+  });
+
+  return candidates;
+}
+
+function toMatch(search, tier, confidence, layer, row, isAlsoListed) {
+  const record = layer.records[row];
+  return {
+    tier,
+    confidence,
+    catalog: record,
+    catalogIdentifier: extractIdentifier(record, layer.mapping),
+    source: layer.source,
+    shadowed: search.layers.filter((other) => other !== layer && isAlsoListed(other)).map((other) => other.source),
+  };
+}
+
+export function matchIdentifier(search, identifier) {
+  const exactLayer = search.layers.find((layer) => layer.index.exact.has(identifier));
+  if (exactLayer) {
+    return toMatch(search, 'exact', 1, exactLayer, exactLayer.index.exact.get(identifier), (other) =>
+      other.index.exact.has(identifier)
+    );
+  }
+
+  const key = normalizeIdentifier(identifier, search.rules);
+  if (!key) return null;
+
+  const normalizedLayer = search.layers.find((layer) => layer.index.normalized.has(key));
+  if (normalizedLayer) {
+    const row = normalizedLayer.index.normalized.get(key);
+    return toMatch(search, 'normalized', NORMALIZED_CONFIDENCE, normalizedLayer, row, (other) =>
+      other.index.normalized.has(key)
+    );
+  }
+
+  if (search.rules.maxDistance <= 0) return null;
+
+  const fuzzyHit = findFuzzyCandidate(search, key);
+  if (fuzzyHit) {
+    const match = toMatch(search, 'fuzzy', fuzzyHit.confidence, fuzzyHit.layer, fuzzyHit.row, () => false);
+    return fuzzyHit.ties.length ? { ...match, ambiguousWith: fuzzyHit.ties } : match;
+  }
+
+  return null;
+}
+
+function findAlternate(search, crossIndex, identifier) {
+  const entries = crossIndex.get(normalizeIdentifier(identifier, search.rules));
+  if (!entries) return null;
+
+  for (const crossReference of entries) {
+    const match = matchIdentifier(search, crossReference.to);
+    if (match && match.tier !== 'fuzzy') {
+      return { ...match, crossReference };
+    }
+  }
+  return null;
+}
+
+function describeGap(search, record, mapping, identifier, quantity, reason) {
+  const attributes = requestAttributes(record, mapping);
+  if (Object.keys(attributes).length < MIN_PARAMETRIC_ATTRIBUTES) {
+    return { record, identifier, quantity, reason };
+  }
+
+  const candidates = findParametricCandidates(search, attributes);
+  const specificationOnly = !identifier || /\s/.test(identifier);
+  return {
+    record,
+    identifier,
+    quantity,
+    reason: specificationOnly ? 'No part number; matched by specification only' : reason,
+    specification: { attributes, candidates },
+  };
+}
+
+export function matchRecords(search, records, mapping = null, crossIndex = null) {
+  const found = [];
+  const alternates = [];
+  const missing = [];
+
+  records.forEach((record) => {
+    const identifier = extractIdentifier(record, mapping);
+    const quantity = requestedQuantity(record, mapping);
+    if (!identifier) {
+      missing.push(describeGap(search, record, mapping, identifier, quantity, 'No identifier detected'));
+      return;
+    }
+
+    const match = matchIdentifier(search, identifier);
+    const alternate =
+      crossIndex && (!match || match.tier === 'fuzzy') ? findAlternate(search, crossIndex, identifier) : null;
+
+    if (alternate) {
+      alternates.push({
+        requested: record,
+        identifier,
+        ...alternate,
+        availability: assessAvailability(quantity, alternate.catalog, alternate.source?.mapping),
+        lifecycle: assessLifecycle(alternate.catalog, alternate.source?.mapping),
+      });
+    } else if (match?.ambiguousWith) {
+      const reason = `Ambiguous: equally close to ${[match.catalogIdentifier, ...match.ambiguousWith].join(', ')}`;
+      missing.push(describeGap(search, record, mapping, identifier, quantity, reason));
+    } else if (match) {
+      found.push({
+        requested: record,
+        identifier,
+        ...match,
+        availability: assessAvailability(quantity, match.catalog, match.source?.mapping),
+        lifecycle: assessLifecycle(match.catalog, match.source?.mapping),
+      });
+    } else {
+      missing.push(describeGap(search, record, mapping, identifier, quantity, 'Not present in catalog'));
+    }
+  });
+
+  return { found, alternates, missing };
+}
+
+export function summarizeMatchResult(result) {
+  return {
+    found: result.found.map((item) => ({
+      identifier: item.identifier,
+      tier: item.tier,
+      confidence: item.confidence,
+      catalogIdentifier: item.catalogIdentifier,
+      catalogId: item.source?.id || null,
+      quantity: item.availability.requested,
+      availability: item.availability.status,
+      lifecycle: item.lifecycle.status,
+    })),
+    alternates: result.alternates.map((item) => ({
+      identifier: item.identifier,
+      catalogIdentifier: item.catalogIdentifier,
+      catalogId: item.source?.id || null,
+      quantity: item.availability.requested,
+      crossReference: item.crossReference.fileName,
+      lifecycle: item.lifecycle.status,
+    })),
+    missing: result.missing.map((item) => ({
+      identifier: item.identifier,
+      quantity: item.quantity,
+      reason: item.reason,
+      specCandidates: item.specification?.candidates.map((candidate) => candidate.catalogIdentifier) || [],
+    })),
+  };
+}
+
+export function formatConfidence(confidence) {
+  return `${Math.round(confidence * 100)}%`;
+}
@@ -0,0 +1,228 @@
+import { getMappedValue } from './columns.js';
+import { extractIdentifier } from './records.js';
+
+export const PARAMETRIC_ATTRIBUTES = [
+  { key: 'pitch', label: 'Pitch', weight: 3, headers: ['pitch'] },
+  {
+    key: 'pinCount',
+    label: 'Pin count',
+    weight: 3,
+    headers: ['positions', 'pin count', 'pins', 'number of positions', 'ways'],
+  },
+  { key: 'rows', label: 'Rows', weight: 2, headers: ['rows', 'number of rows', 'row count'] },
+  { key: 'gender', label: 'Gender', weight: 2, headers: ['gender', 'connector type'] },
+  { key: 'orientation', label: 'Orientation', weight: 1.5, headers: ['orientation', 'angle'] },
+  { key: 'mounting', label: 'Mounting', weight: 1.5, headers: ['mounting', 'mounting type', 'termination'] },
+  { key: 'plating', label: 'Plating', weight: 1, headers: ['plating', 'contact plating', 'contact finish', 'finish'] },
+  { key: 'currentRating', label: 'Current rating', weight: 1, headers: ['current', 'current rating', 'rated current'] },
+];
+
+export const MIN_PARAMETRIC_ATTRIBUTES = 2;
+const MIN_PARAMETRIC_SCORE = 0.5;
+const PITCH_TOLERANCE = 0.03;
+
+const KEYWORDS = {
+  gender: [
+    ['female', /\b(female|receptacle|socket)\b/],
+    ['male', /\b(male|header|plug)\b/],
+  ],
+  orientation: [
+    ['right angle', /\b(right[\s-]*angle|r\/a|90\s*deg|horizontal)\b/],
+    ['vertical', /\b(vertical|straight|180\s*deg)\b/],
+  ],
+  mounting: [
+    ['surface mount', /\b(smt|smd|surface[\s-]*mount)\b/],
+    ['through hole', /\b(tht|thd|pth|through[\s-]*hole)\b/],
+    ['press-fit', /\bpress[\s-]*fit\b/],
+    ['panel mount', /\bpanel[\s-]*mount\b/],
+    ['cable mount', /\b(cable|wire)[\s-]*mount\b/],
+  ],
+  plating: [
+    ['gold', /\b(gold|au)\b/],
+    ['tin', /\b(tin|sn)\b/],
+    ['silver', /\b(silver|ag)\b/],
+  ],
+};
+
+const ROW_WORDS = { single: 1, dual: 2, double: 2, triple: 3 };
+
+function keyword(attribute, text) {
+  return KEYWORDS[attribute].find(([, pattern]) => pattern.test(text))?.[0];
+}
+
+function parsePitch(text) {
+  const millimetres = text.match(/(\d+(?:\.\d+)?)\s*mm\b/) || text.match(/pitch\s*[:=]?\s*(\d+(?:\.\d+)?)/);
+  if (millimetres) return Number(millimetres[1]);
+  const inches = text.match(/(\d*\.\d+)\s*(?:"|''|in\b|inch)/);
+  return inches ? Math.round(Number(inches[1]) * 25.4 * 100) / 100 : undefined;
+}
+
+function parseGrid(text) {
+  const grid = text.match(/\b(\d{1,2})\s*[x×]\s*(\d{1,3})\b/);
+  if (!grid) return {};
+  const [a, b] = [Number(grid[1]), Number(grid[2])];
+  const rows = Math.min(a, b);
+  return rows > 0 && rows <= 4 ? { rows, pinCount: a * b } : {};
+}
+
+function parsePinCount(text) {
+  const match = text.match(/\b(\d{1,3})\s*-?\s*(?:pins?|pos(?:itions?)?|ways?|contacts?|circuits?|p)\b/);
+  return match ? Number(match[1]) : undefined;
+}
+
+function parseRows(text) {
+  const match = text.match(/\b(single|dual|double|triple|\d)\s*-?\s*rows?\b/);
+  if (!match) return undefined;
+  return ROW_WORDS[match[1]] || Number(match[1]);
+}
+
+function parseCurrent(text) {
+  const match = text.match(/\b(\d+(?:\.\d+)?)\s*(m?a)(?:mps?)?\b/);
+  if (!match) return undefined;
+  return match[2] === 'ma' ? Number(match[1]) / 1000 : Number(match[1]);
+}
+
+function parseNumber(value) {
+  const match = String(value).match(/\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : undefined;
+}
+
+export function extractAttributes(text) {
+  const value = String(text || '').toLowerCase();
+  if (!value) return {};
+  const grid = parseGrid(value);
+
+  const attributes = {
+    pitch: parsePitch(value),
+    pinCount: grid.pinCount ?? parsePinCount(value),
+    rows: grid.rows ?? parseRows(value),
+    gender: keyword('gender', value),
+    orientation: keyword('orientation', value),
+    mounting: keyword('mounting', value),
+    plating: keyword('plating', value),
+    currentRating: parseCurrent(value),
+  };
+  return Object.fromEntries(Object.entries(attributes).filter(([, entry]) => entry !== undefined));
+}
+
+function parseColumnValue(key, value) {
+  const text = String(value).toLowerCase();
+  if (KEYWORDS[key]) return keyword(key, text);
+  if (key === 'rows') return parseRows(text) ?? parseNumber(text);
+  if (key === 'pitch') return parsePitch(text) ?? parseNumber(text);
+  if (key === 'currentRating') return parseCurrent(text) ?? parseNumber(text);
+  return parseNumber(text);
+}
+
+export function detectAttributeColumns(headers) {
+  const lowerHeaders = headers.map((header) => header.toLowerCase().replace(/\s*\(.*\)\s*$/, '').trim());
+  return Object.fromEntries(
+    PARAMETRIC_ATTRIBUTES.flatMap(({ key, headers: candidates }) => {
+      const position = lowerHeaders.findIndex((header) => candidates.includes(header));
+      return position === -1 ? [] : [[key, headers[position]]];
+    })
+  );
+}
+
+export function catalogAttributes(record, mapping, attributeColumns) {
+  const attributes = extractAttributes(getMappedValue(record, mapping, 'description'));
+  Object.entries(attributeColumns).forEach(([key, column]) => {
+    if (!record[column]) return;
+    const value = parseColumnValue(key, record[column]);
+    if (value !== undefined) attributes[key] = value;
+  });
+  return attributes;
+}
+
+// Quantities, line numbers and customer part numbers would read as pin counts or currents, so a request's
+// attributes come from its description, or else from unmapped text columns and a spec-like identifier.
+export function requestAttributes(record, mapping) {
+  const description = getMappedValue(record, mapping, 'description');
+  if (description) return extractAttributes(description);
+
+  const identifier = getMappedValue(record, mapping, 'identifier');
+  const mapped = new Set(Object.values(mapping || {}).filter(Boolean));
+  if (/\s/.test(identifier)) mapped.delete(mapping.identifier);
+  const text = Object.entries(record)
+    .filter(([column, value]) => !mapped.has(column) && /[a-z]/i.test(String(value)))
+    .map(([, value]) => value)
+    .join(' ');
+  return extractAttributes(text);
+}
+
+export function buildParametricIndex(records, mapping) {
+  const headers = Array.from(new Set(records.slice(0, 50).flatMap((record) => Object.keys(record))));
+  const attributeColumns = detectAttributeColumns(headers);
+  const entries = [];
+  records.forEach((record, row) => {
+    const attributes = catalogAttributes(record, mapping, attributeColumns);
+    if (Object.keys(attributes).length >= MIN_PARAMETRIC_ATTRIBUTES) {
+      entries.push({ row, attributes });
+    }
+  });
+  return entries;
+}
+
+function attributeMatches(key, requested, candidate) {
+  if (key === 'pitch') return Math.abs(requested - candidate) <= PITCH_TOLERANCE;
+  if (key === 'currentRating') return candidate >= requested;
+  return requested === candidate;
+}
+
+export function compareAttributes(requested, candidate) {
+  const matched = [];
+  const mismatched = [];
+  const unknown = [];
+  let total = 0;
+  let earned = 0;
+
+  PARAMETRIC_ATTRIBUTES.forEach(({ key, weight }) => {
+    if (requested[key] === undefined) return;
+    total += weight;
+    if (candidate[key] === undefined) {
+      unknown.push(key);
+    } else if (attributeMatches(key, requested[key], candidate[key])) {
+      matched.push(key);
+      earned += weight;
+    } else {
+      mismatched.push({ key, requested: requested[key], candidate: candidate[key] });
+    }
+  });
+
+  return { score: total ? earned / total : 0, matched, mismatched, unknown };
+}
+
+export function findParametricCandidates(search, attributes, { limit = 5, minScore = MIN_PARAMETRIC_SCORE } = {}) {
+  const candidates = [];
+
+  search.layers.forEach((layer) => {
+    layer.index.parametric.forEach(({ row, attributes: candidateAttributes }) => {
+      const comparison = compareAttributes(attributes, candidateAttributes);
+      if (comparison.score < minScore) return;
+      const record = layer.records[row];
+      candidates.push({
+        catalog: record,
+        catalogIdentifier: extractIdentifier(record, layer.mapping),
+        source: layer.source,
+        attributes: candidateAttributes,
+        ...comparison,
+      });
+    });
+  });
+
+  return candidates
+    .sort((a, b) => b.score - a.score || a.mismatched.length - b.mismatched.length)
+    .slice(0, limit);
+}
+
+export function formatAttribute(key, value) {
+  if (key === 'pitch') return `${value} mm`;
+  if (key === 'currentRating') return `${value} A`;
+  return String(value);
+}
+
+export function describeAttributes(attributes) {
+  return PARAMETRIC_ATTRIBUTES.filter(({ key }) => attributes[key] !== undefined)
+    .map(({ key, label }) => `${label} ${formatAttribute(key, attributes[key])}`)
+    .join(', ');
+}
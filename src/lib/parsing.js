@@ -0,0 +1,381 @@
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import { sanitizeRecords } from './records.js';
+
+export const SHEET_NAME_COLUMN = 'Sheet';
+
+export const UPLOAD_ACCEPT = '.csv,.tsv,.txt,.json,.xls,.xlsx';
+
+const HEADER_SCAN_ROWS = 25;
+const PREVIEW_ROWS = 40;
+const CSV_CHUNK_SIZE = 1024 * 1024;
+const SNIFF_BYTES = 64 * 1024;
+const DELIMITERS = [',', '\t', ';', '|'];
+const JSON_ROW_KEYS = ['rows', 'records', 'data', 'items', 'parts', 'components'];
+const UNSUPPORTED_FORMAT = 'Unsupported file format. Upload CSV, TSV, JSON, pasted text or Excel.';
+
+export class ParseCancelledError extends Error {
+  constructor() {
+    super('Parsing was cancelled.');
+    this.name = 'ParseCancelledError';
+  }
+}
+
+export async function readArrayBuffer(file) {
+  try {
+    return new Uint8Array(await file.arrayBuffer());
+  } catch {
+    throw new Error('Unable to read file.');
+  }
+}
+
+export function isExcelFile(name) {
+  return ['xls', 'xlsx'].includes(name.split('.').pop()?.toLowerCase());
+}
+
+function hasPrefix(bytes, prefix) {
+  return prefix.every((byte, index) => bytes[index] === byte);
+}
+
+function utf16WithoutBom(bytes) {
+  const sample = bytes.subarray(0, 512);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  sample.forEach((byte, index) => {
+    if (byte !== 0) return;
+    if (index % 2) oddZeros += 1;
+    else evenZeros += 1;
+  });
+  const half = sample.length / 2;
+  if (oddZeros > half * 0.4 && evenZeros < half * 0.05) return 'utf-16le';
+  if (evenZeros > half * 0.4 && oddZeros < half * 0.05) return 'utf-16be';
+  return null;
+}
+
+export function detectEncoding(bytes) {
+  if (hasPrefix(bytes, [0xef, 0xbb, 0xbf])) return 'utf-8';
+  if (hasPrefix(bytes, [0xff, 0xfe])) return 'utf-16le';
+  if (hasPrefix(bytes, [0xfe, 0xff])) return 'utf-16be';
+  const utf16 = utf16WithoutBom(bytes);
+  if (utf16) return utf16;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return 'utf-8';
+  } catch {
+    return 'windows-1252';
+  }
+}
+
+export function detectDelimiter(text) {
+  const lines = text
+    .replace(/"[^"]*"/g, '')
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .slice(0, 20);
+  if (!lines.length) return ',';
+
+  let best = { delimiter: ',', score: 0 };
+  DELIMITERS.forEach((delimiter) => {
+    const counts = lines.map((line) => line.split(delimiter).length - 1);
+    const consistent = counts.filter((count) => count > 0 && count === counts[0]).length;
+    const score = counts[0] ? consistent * counts[0] : 0;
+    if (score > best.score) best = { delimiter, score };
+  });
+  return best.delimiter;
+}
+
+export function sniffContent(bytes, name = '') {
+  if (hasPrefix(bytes, [0x50, 0x4b, 0x03, 0x04]) || hasPrefix(bytes, [0xd0, 0xcf, 0x11, 0xe0])) {
+    return { format: 'excel' };
+  }
+
+  const encoding = detectEncoding(bytes);
+  const text = new TextDecoder(encoding).decode(bytes.subarray(0, SNIFF_BYTES), { stream: true });
+  const start = text.replace(/^\uFEFF/, '').trimStart();
+  if (isExcelFile(name) && start.startsWith('<')) return { format: 'excel' };
+  if (text.includes('\u0000')) throw new Error(UNSUPPORTED_FORMAT);
+  if (start.startsWith('[') || start.startsWith('{')) return { format: 'json', encoding };
+  return { format: 'delimited', encoding, delimiter: detectDelimiter(text) };
+}
+
+export async function sniffFile(file) {
+  let bytes;
+  try {
+    bytes = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+  } catch {
+    throw new Error('Unable to read file.');
+  }
+  return sniffContent(bytes, file.name);
+}
+
+export async function readText(file, encoding) {
+  return new TextDecoder(encoding).decode(await readArrayBuffer(file));
+}
+
+function describeCsvError(error, offset) {
+  return {
+    row: Number.isInteger(error.row) ? offset + error.row + 1 : null,
+    code: error.code,
+    message: error.message,
+  };
+}
+
+export function parseCsv(input, { delimiter, encoding, onProgress, isCancelled, onErrors } = {}) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    let cancelled = false;
+
+    Papa.parse(input, {
+      header: true,
+      delimiter,
+      encoding,
+      skipEmptyLines: true,
+      chunkSize: CSV_CHUNK_SIZE,
+      chunk: (results, parser) => {
+        if (isCancelled?.()) {
+          cancelled = true;
+          parser.abort();
+          return;
+        }
+        if (results.errors.length) {
+          onErrors?.(results.errors.map((error) => describeCsvError(error, rows.length)));
+        }
+        results.data.forEach((row) => rows.push(row));
+        onProgress?.(results.meta.cursor);
+      },
+      complete: () => (cancelled ? reject(new ParseCancelledError()) : resolve(sanitizeRecords(rows))),
+      error: (error) => reject(error),
+    });
+  });
+}
+
+function flattenValue(value, key, record) {
+  if (value === null || value === undefined) return;
+  if (Array.isArray(value)) {
+    record[key] = value.every((entry) => typeof entry !== 'object') ? value.join(', ') : JSON.stringify(value);
+    return;
+  }
+  if (typeof value === 'object') {
+    Object.entries(value).forEach(([child, entry]) => flattenValue(entry, `${key}.${child}`, record));
+    return;
+  }
+  record[key] = value;
+}
+
+export function parseJsonRecords(text) {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`The file is not valid JSON: ${error.message}`);
+  }
+
+  const rows = Array.isArray(data) ? data : JSON_ROW_KEYS.map((key) => data?.[key]).find(Array.isArray);
+  if (!rows) {
+    throw new Error(`JSON files need an array of rows, either at the top level or under ${JSON_ROW_KEYS.join(', ')}.`);
+  }
+
+  if (rows.length && rows.every(Array.isArray)) {
+    const [headers, ...body] = rows;
+    return sanitizeRecords(
+      body.map((row) => Object.fromEntries(headers.map((header, column) => [String(header), row[column]])))
+    );
+  }
+
+  return sanitizeRecords(
+    rows
+      .filter((row) => row && typeof row === 'object')
+      .map((row) => {
+        const record = {};
+        Object.entries(row).forEach(([key, value]) => flattenValue(value, key, record));
+        return record;
+      })
+  );
+}
+
+function fillMergedCells(worksheet) {
+  (worksheet['!merges'] || []).forEach((range) => {
+    const origin = worksheet[XLSX.utils.encode_cell(range.s)];
+    if (!origin) return;
+    for (let r = range.s.r; r <= range.e.r; r += 1) {
+      for (let c = range.s.c; c <= range.e.c; c += 1) {
+        if (r === range.s.r && c === range.s.c) continue;
+        worksheet[XLSX.utils.encode_cell({ r, c })] = { ...origin };
+      }
+    }
+  });
+}
+
+function isFilled(cell) {
+  return String(cell ?? '').trim() !== '';
+}
+
+function isTextCell(cell) {
+  const value = String(cell ?? '').trim();
+  return value !== '' && Number.isNaN(Number(value.replace(/[,$€£%]/g, '')));
+}
+
+export function detectHeaderRow(rows) {
+  const scanned = rows.slice(0, HEADER_SCAN_ROWS);
+  const widths = scanned.map((row) => row.filter(isFilled).length);
+  const maxWidth = Math.max(0, ...widths);
+  const minWidth = Math.max(2, Math.ceil(maxWidth * 0.5));
+
+  const index = scanned.findIndex((row, rowIndex) => {
+    if (widths[rowIndex] < minWidth) return false;
+    const textCells = row.filter(isTextCell).length;
+    return textCells / widths[rowIndex] >= 0.7;
+  });
+
+  return index === -1 ? 0 : index;
+}
+
+function detectHeaderRowCount(rows, headerRow, merges, rowOffset) {
+  const next = rows[headerRow + 1];
+  if (!next || next.filter(isFilled).length === 0) return 1;
+
+  const spansColumns = merges.some(
+    (range) => range.s.r - rowOffset === headerRow && range.e.c > range.s.c
+  );
+  const nextIsText = next.filter(isFilled).every(isTextCell);
+
+  return spansColumns && nextIsText ? 2 : 1;
+}
+
+export function buildHeaderNames(rows, headerRow, headerRowCount = 1) {
+  const headerRows = rows.slice(headerRow, headerRow + headerRowCount);
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const seen = new Map();
+
+  return Array.from({ length: width }, (_, column) => {
+    const parts = [];
+    headerRows.forEach((row) => {
+      const value = String(row[column] ?? '').trim();
+      if (value && parts[parts.length - 1] !== value) {
+        parts.push(value);
+      }
+    });
+
+    const base = parts.join(' ') || `Column ${column + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count > 1 ? `${base} (${count})` : base;
+  });
+}
+
+export function readWorkbookSheets(data) {
+  const workbook = XLSX.read(data, { type: 'array' });
+
+  return workbook.SheetNames.map((name) => {
+    const worksheet = workbook.Sheets[name];
+    const merges = worksheet['!merges'] || [];
+    const rowOffset = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']).s.r : 0;
+    fillMergedCells(worksheet);
+    const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: '', blankrows: true });
+    const headerRow = detectHeaderRow(rows);
+
+    return {
+      name,
+      rows,
+      headerRow,
+      headerRowCount: detectHeaderRowCount(rows, headerRow, merges, rowOffset),
+    };
+  });
+}
+
+export function sheetToRecords(sheet, { headerRow, headerRowCount, includeSheetName }) {
+  const headers = buildHeaderNames(sheet.rows, headerRow, headerRowCount);
+  const records = sheet.rows.slice(headerRow + headerRowCount).map((row) => {
+    const record = {};
+    headers.forEach((header, column) => {
+      record[header] = row[column];
+    });
+    return record;
+  });
+
+  const sanitized = sanitizeRecords(records);
+  if (!includeSheetName) return sanitized;
+  return sanitized.map((record) => ({ ...record, [SHEET_NAME_COLUMN]: sheet.name }));
+}
+
+export function describeSheet(sheet) {
+  return {
+    name: sheet.name,
+    rowCount: sheet.rows.length,
+    preview: sheet.rows.slice(0, PREVIEW_ROWS),
+    headerRow: sheet.headerRow,
+    headerRowCount: sheet.headerRowCount,
+  };
+}
+
+export function needsSheetSelection(sheets) {
+  return sheets.length > 1 || sheets.some((sheet) => sheet.headerRow > 0 || sheet.headerRowCount > 1);
+}
+
+export function defaultSheetSelection(sheets) {
+  return sheets.slice(0, 1).map(({ name, headerRow, headerRowCount }) => ({ name, headerRow, headerRowCount }));
+}
+
+export function extractSheets(sheets, selection) {
+  const includeSheetName = sheets.length > 1;
+  return selection.flatMap((choice) =>
+    sheetToRecords(
+      sheets.find((sheet) => sheet.name === choice.name),
+      { ...choice, includeSheetName }
+    )
+  );
+}
+
+export function selectSheetsByName(sheets, sheetNames) {
+  if (!sheetNames?.length) return defaultSheetSelection(sheets);
+  return sheetNames.map((name) => {
+    const sheet = sheets.find((entry) => entry.name === name);
+    if (!sheet) {
+      throw new Error(`Sheet "${name}" was not found. Available sheets: ${sheets.map((entry) => entry.name).join(', ')}.`);
+    }
+    return { name, headerRow: sheet.headerRow, headerRowCount: sheet.headerRowCount };
+  });
+}
+
+export async function parseBuffer(data, name, { sheetNames } = {}) {
+  const { format, encoding, delimiter } = sniffContent(data, name);
+
+  if (format === 'excel') {
+    const sheets = readWorkbookSheets(data);
+    return extractSheets(sheets, selectSheetsByName(sheets, sheetNames));
+  }
+
+  const text = new TextDecoder(encoding).decode(data);
+  if (format === 'json') {
+    return parseJsonRecords(text);
+  }
+  return parseCsv(text, { delimiter });
+}
+
+export async function parseFile(file, { chooseSheets } = {}) {
+  const { format, encoding, delimiter } = await sniffFile(file);
+
+  if (format === 'excel') {
+    const sheets = readWorkbookSheets(await readArrayBuffer(file));
+    let selection = defaultSheetSelection(sheets);
+
+    if (chooseSheets && needsSheetSelection(sheets)) {
+      selection = await chooseSheets({ fileName: file.name, sheets: sheets.map(describeSheet) });
+      if (!selection) return null;
+    }
+
+    return { records: extractSheets(sheets, selection), parseErrors: [] };
+  }
+
+  if (format === 'json') {
+    return { records: parseJsonRecords(await readText(file, encoding)), parseErrors: [] };
+  }
+
+  const parseErrors = [];
+  const records = await parseCsv(file, {
+    delimiter,
+    encoding,
+    onErrors: (errors) => parseErrors.push(...errors),
+  });
+  return { records, parseErrors };
+}
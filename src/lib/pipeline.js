@@ -0,0 +1,52 @@
+import { detectHeaders, isMappingComplete, suggestMapping } from './columns.js';
+import { buildCrossReferenceIndex } from './crossReference.js';
+import { ensureIndex } from './indexCache.js';
+import { DEFAULT_MATCH_RULES, catalogLayer, createCatalogSearch, matchRecords } from './matching.js';
+import { DEFAULT_PRICING_SETTINGS, applyPricing } from './pricing.js';
+import { sanitizeRecords } from './records.js';
+import { computeMatchStats } from './stats.js';
+
+export function prepareSource({ name, records, mapping }, kind) {
+  const sanitized = sanitizeRecords(records);
+  const headers = detectHeaders(sanitized);
+  const resolved = { ...suggestMapping(headers, kind), ...mapping };
+  if (!isMappingComplete(resolved, kind)) {
+    throw new Error(
+      `${name || 'Upload'} is missing required column mappings. Detected columns: ${headers.join(', ') || 'none'}.`
+    );
+  }
+  return { name, records: sanitized, mapping: resolved };
+}
+
+export async function runMatching({
+  catalogs,
+  sources,
+  crossReferences = [],
+  rules = DEFAULT_MATCH_RULES,
+  pricingSettings = DEFAULT_PRICING_SETTINGS,
+  customer = '',
+}) {
+  const layers = await Promise.all(
+    catalogs.map(async (catalog) => catalogLayer(catalog, await ensureIndex(catalog.records, catalog.mapping, rules)))
+  );
+  const search = createCatalogSearch(layers, rules);
+  const crossIndex = crossReferences.length ? buildCrossReferenceIndex(crossReferences, rules) : null;
+  const combined = { found: [], alternates: [], missing: [] };
+
+  sources.forEach((source) => {
+    const result = matchRecords(search, source.records, source.mapping, crossIndex);
+    combined.found.push(...result.found);
+    combined.alternates.push(...result.alternates);
+    combined.missing.push(...result.missing);
+  });
+
+  const pricingById = new Map(catalogs.map((catalog) => [catalog.id, catalog.pricing]));
+  const result = applyPricing(combined, {
+    pricingFor: (catalogId) => pricingById.get(catalogId),
+    settings: pricingSettings,
+    customer,
+  });
+  const total = sources.reduce((count, source) => count + source.records.length, 0);
+
+  return { result, stats: computeMatchStats(result, total, pricingSettings) };
+}
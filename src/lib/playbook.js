@@ -0,0 +1,134 @@
+import { formatMoney } from './format.js';
+import { AT_RISK_STATUSES, LIFECYCLE_LABELS, describeLifecycle, isAtRisk } from './lifecycle.js';
+
+const SAMPLE_SIZE = 10;
+
+export const DEFAULT_AGENT_STEPS = [
+  {
+    title: 'Understand requirements',
+    description:
+      'Use the uploaded request list to identify the number of unique components, quantities, and any missing specifications that could impact sourcing.',
+  },
+  {
+    title: 'Cross-check catalog',
+    description:
+      'Compare each requested connector with the active catalog. Flag legacy or end-of-life parts and highlight viable alternates.',
+  },
+  {
+    title: 'Compose proposal brief',
+    description:
+      'Summarize available inventory, lead times, and cost-saving bundles. Recommend follow-up actions for uncovered parts.',
+  },
+];
+
+export const DEFAULT_PLAYBOOKS = [
+  { id: 'standard', name: 'Standard proposal', steps: DEFAULT_AGENT_STEPS },
+  {
+    id: 'distributor-rfq',
+    name: 'Distributor RFQ',
+    steps: [
+      {
+        title: 'Qualify the RFQ',
+        description:
+          'Check requested quantities against stock, MOQ and order multiples. Call out lines that need a quantity adjustment before quoting.',
+      },
+      {
+        title: 'Price for the channel',
+        description:
+          'Use the applied price breaks and quote total. Point out where a higher break would lower the unit price.',
+      },
+      {
+        title: 'Close the gaps',
+        description:
+          'List unmatched lines and proposed alternates, and ask the distributor to confirm alternates before the quote is released.',
+      },
+    ],
+  },
+  {
+    id: 'oem-redesign',
+    name: 'OEM redesign',
+    steps: [
+      {
+        title: 'Map the design intent',
+        description:
+          'Group the requested parts by function and identify where the customer is locked to a competitor or obsolete part.',
+      },
+      {
+        title: 'Recommend replacements',
+        description:
+          'For every alternate or fuzzy match, explain the fit, form and function differences the engineering team must verify.',
+      },
+      {
+        title: 'Plan the transition',
+        description:
+          'Propose a qualification sequence, sample quantities and lead-time risks so the redesign can be scheduled.',
+      },
+    ],
+  },
+];
+
+const ROLE_PROMPT =
+  'You are an AI sourcing specialist for an electronics connector manufacturer. ' +
+  'Combine catalog intelligence with the requested part list to produce a short, actionable brief.';
+
+export function buildSystemPrompt(steps) {
+  const playbook = steps
+    .filter((step) => step.title.trim() || step.description.trim())
+    .map((step, index) => `${index + 1}. ${step.title.trim() || 'Step'}: ${step.description.trim()}`)
+    .join('\n');
+
+  if (!playbook) {
+    return `${ROLE_PROMPT}\nHighlight coverage percentage, list top available matches with advantages, and recommend next actions for missing parts.`;
+  }
+  return `${ROLE_PROMPT}\nWork through this playbook in order and structure the brief around its steps:\n${playbook}`;
+}
+
+function describeLifecycleRisk(matchStats, matchResult) {
+  const counts = AT_RISK_STATUSES.filter((status) => matchStats.lifecycle[status] > 0)
+    .map((status) => `${LIFECYCLE_LABELS[status]} ${matchStats.lifecycle[status]}`)
+    .join(', ');
+  const atRisk = [...matchResult.found, ...matchResult.alternates]
+    .filter((item) => isAtRisk(item.lifecycle))
+    .map((item) => `${item.catalogIdentifier} (${describeLifecycle(item.lifecycle)})`);
+
+  return [
+    `Lifecycle: healthy coverage ${matchStats.healthyCoverage}%, at-risk coverage ${matchStats.atRiskCoverage}%${
+      counts ? ` (${counts})` : ''
+    }.`,
+    ...(atRisk.length ? [`At-risk parts: ${atRisk.join('; ')}.`] : []),
+  ];
+}
+
+function describeRecommendations(recommendations) {
+  const accepted = recommendations.filter((item) => item.status === 'accepted' && item.alternate);
+  return `Reviewed alternates for unmatched parts: ${accepted.length} accepted of ${recommendations.length}${
+    accepted.length ? ` (${accepted.map((item) => `${item.identifier} -> ${item.alternate}`).join(', ')})` : ''
+  }.`;
+}
+
+export function buildContextPrompt({ catalogs, clientRecords, matchStats, matchResult, recommendations = [] }) {
+  return [
+    `Catalog sample: ${JSON.stringify(catalogs.flatMap((file) => file.records.slice(0, SAMPLE_SIZE)).slice(0, SAMPLE_SIZE))}.`,
+    `Client request sample: ${JSON.stringify(clientRecords.slice(0, SAMPLE_SIZE))}.`,
+    `Coverage: ${matchStats.coverage}% with ${matchStats.found} of ${matchStats.total} components matched.`,
+    `Quantity coverage: ${matchStats.quantityCoverage}% with ${matchStats.coveredUnits} of ${matchStats.requestedUnits} units available from stock and ${matchStats.unknownStockUnits} units with unknown stock.`,
+    `Quote total: ${formatMoney(matchStats.pricing.total, matchStats.pricing.currency)} across ${matchStats.pricing.priced} priced lines.`,
+    ...describeLifecycleRisk(matchStats, matchResult),
+    `Missing identifiers: ${matchResult.missing
+      .slice(0, SAMPLE_SIZE)
+      .map((item) => item.identifier || 'Unidentified')
+      .join(', ')}.`,
+    `Proposed alternates: ${matchResult.alternates
+      .slice(0, SAMPLE_SIZE)
+      .map((item) => `${item.identifier} -> ${item.catalogIdentifier} (${item.crossReference.type})`)
+      .join(', ')}`,
+    ...(recommendations.length ? [describeRecommendations(recommendations)] : []),
+  ].join('\n');
+}
+
+export function buildBriefPrompt({ steps, ...context }) {
+  return {
+    system: buildSystemPrompt(steps),
+    user: buildContextPrompt(context),
+  };
+}
@@ -0,0 +1,170 @@
+import { toNumber } from './browser.js';
+import { detectHeaders } from './columns.js';
+import { isConfirmedMatch } from './matching.js';
+
+export const DEFAULT_PRICING_SETTINGS = {
+  currency: 'USD',
+  rates: [],
+  rules: [],
+};
+
+export const PRICING_RULE_TYPES = {
+  margin: 'Margin',
+  discount: 'Discount',
+};
+
+const PRICE_HEADER = /price|cost/i;
+const BREAK_QUANTITY = /(\d[\d,]*)\s*(k)?/i;
+const HEADER_SAMPLE = 50;
+
+export function suggestPriceBreaks(headers, mapping) {
+  const breaks = [];
+  headers.forEach((header) => {
+    if (!PRICE_HEADER.test(header)) return;
+    const match = header.match(BREAK_QUANTITY);
+    if (!match) return;
+    const minQuantity = Number(match[1].replace(/,/g, '')) * (match[2] ? 1000 : 1);
+    if (minQuantity > 0 && !breaks.some((entry) => entry.minQuantity === minQuantity)) {
+      breaks.push({ minQuantity, column: header });
+    }
+  });
+
+  if (mapping?.price && !breaks.some((entry) => entry.column === mapping.price || entry.minQuantity === 1)) {
+    breaks.push({ minQuantity: 1, column: mapping.price });
+  }
+
+  return breaks.sort((a, b) => a.minQuantity - b.minQuantity);
+}
+
+export function defaultCatalogPricing(records, mapping) {
+  return {
+    currency: '',
+    familyColumn: '',
+    breaks: suggestPriceBreaks(detectHeaders(records.slice(0, HEADER_SAMPLE)), mapping),
+  };
+}
+
+export function conversionRate(currency, settings) {
+  if (!currency || currency.toUpperCase() === settings.currency.toUpperCase()) return 1;
+  const entry = settings.rates.find((rate) => rate.code.trim().toUpperCase() === currency.toUpperCase());
+  const rate = toNumber(entry?.rate);
+  return rate && rate > 0 ? rate : null;
+}
+
+export function selectPriceBreak(record, breaks, quantity) {
+  const priced = breaks
+    .map((entry) => ({ ...entry, price: toNumber(record[entry.column]) }))
+    .filter((entry) => entry.price !== null && entry.minQuantity > 0)
+    .sort((a, b) => b.minQuantity - a.minQuantity);
+  if (!priced.length) return null;
+  return priced.find((entry) => entry.minQuantity <= quantity) || priced[priced.length - 1];
+}
+
+function sameText(left, right) {
+  return String(left ?? '').trim().toLowerCase() === String(right ?? '').trim().toLowerCase();
+}
+
+export function findPricingRule(rules, { customer, family }) {
+  let best = null;
+  let bestScore = -1;
+
+  rules.forEach((rule) => {
+    if (toNumber(rule.percent) === null) return;
+    if (rule.customer && !sameText(rule.customer, customer)) return;
+    if (rule.family && !sameText(rule.family, family)) return;
+    const score = (rule.family ? 2 : 0) + (rule.customer ? 1 : 0);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+function applyRule(price, rule) {
+  if (!rule) return price;
+  const percent = toNumber(rule.percent) / 100;
+  if (rule.type === 'margin') {
+    return percent < 1 ? price / (1 - percent) : price;
+  }
+  return price * (1 - percent);
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export function priceItem(item, pricing, settings, customer) {
+  const quantity = item.availability.orderQuantity;
+  const unpriced = (reason) => ({ unitPrice: null, extendedPrice: null, currency: settings.currency, reason });
+
+  if (!isConfirmedMatch(item)) return unpriced('Confirm the fuzzy match before pricing it');
+  if (!pricing?.breaks.length) return unpriced('No price columns configured for this catalog');
+
+  const selected = selectPriceBreak(item.catalog, pricing.breaks, quantity);
+  if (!selected) return unpriced('No price in the configured columns');
+
+  const rate = conversionRate(pricing.currency, settings);
+  if (rate === null) return unpriced(`No conversion rate for ${pricing.currency}`);
+
+  const family = pricing.familyColumn ? item.catalog[pricing.familyColumn] : '';
+  const rule = findPricingRule(settings.rules, { customer, family });
+  const unitPrice = round(applyRule(selected.price * rate, rule), 4);
+
+  return {
+    unitPrice,
+    extendedPrice: round(unitPrice * quantity, 2),
+    currency: settings.currency,
+    basePrice: selected.price,
+    sourceCurrency: pricing.currency || settings.currency,
+    tier: { minQuantity: selected.minQuantity, column: selected.column },
+    rule,
+  };
+}
+
+export function applyPricing(result, { pricingFor, settings, customer }) {
+  const withPricing = (item) => ({
+    ...item,
+    pricing: priceItem(item, pricingFor(item.source?.id), settings, customer),
+  });
+
+  return {
+    ...result,
+    found: result.found.map(withPricing),
+    alternates: result.alternates.map(withPricing),
+  };
+}
+
+export function formatPriceBreak(tier) {
+  return `${tier.minQuantity}+`;
+}
+
+export function describePricingRule(rule) {
+  if (!rule) return '';
+  const scope = [rule.customer, rule.family].filter(Boolean).join(' / ') || 'all lines';
+  return `${PRICING_RULE_TYPES[rule.type]} ${toNumber(rule.percent)}% (${scope})`;
+}
+
+export function summarizePricing(items, settings) {
+  const tiers = {};
+  let total = 0;
+  let priced = 0;
+
+  items.forEach(({ pricing }) => {
+    if (!pricing || pricing.unitPrice === null) return;
+    priced += 1;
+    total += pricing.extendedPrice;
+    const label = formatPriceBreak(pricing.tier);
+    tiers[label] = (tiers[label] || 0) + 1;
+  });
+
+  return {
+    total: round(total, 2),
+    currency: settings.currency,
+    priced,
+    unpriced: items.length - priced,
+    tiers,
+  };
+}
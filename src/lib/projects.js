@@ -0,0 +1,185 @@
+import { isConfirmedMatch, matchRecords } from './matching.js';
+import { DEFAULT_PROPOSAL_DETAILS } from './proposal.js';
+import { applyResolutions, customerKey } from './resolutions.js';
+
+export const PROJECT_STATUSES = ['open', 'quoted', 'won', 'lost', 'closed'];
+
+export const PROJECT_STATUS_LABELS = {
+  open: 'Open',
+  quoted: 'Quoted',
+  won: 'Won',
+  lost: 'Lost',
+  closed: 'Closed',
+};
+
+export const MATCH_STATUS_LABELS = {
+  found: 'Matched',
+  alternate: 'Alternate',
+  missing: 'Missing',
+};
+
+export function createProject({ customer = '', rfqNumber = '', dueDate = '', status = 'open' } = {}) {
+  const now = new Date();
+  return {
+    id: crypto.randomUUID(),
+    customer,
+    rfqNumber,
+    dueDate,
+    status,
+    notes: '',
+    clientSources: [],
+    aiBrief: '',
+    aiRecommendations: [],
+    proposalDetails: { ...DEFAULT_PROPOSAL_DETAILS, customer, reference: rfqNumber },
+    proposalColumns: null,
+    matchSummary: null,
+    revisionOf: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+export function projectName(project) {
+  return [project.customer || 'Untitled customer', project.rfqNumber].filter(Boolean).join(' • ');
+}
+
+export function nextRevisionNumber(rfqNumber) {
+  const revision = String(rfqNumber || '').match(/^(.*?)\s*rev\s*(\d+)$/i);
+  if (revision) return `${revision[1]} rev ${Number(revision[2]) + 1}`.trim();
+  return rfqNumber ? `${rfqNumber} rev 2` : 'rev 2';
+}
+
+export function duplicateProject(project) {
+  const now = new Date();
+  const rfqNumber = nextRevisionNumber(project.rfqNumber);
+  return {
+    ...project,
+    id: crypto.randomUUID(),
+    rfqNumber,
+    status: 'open',
+    aiBrief: '',
+    proposalDetails: { ...project.proposalDetails, reference: rfqNumber },
+    revisionOf: project.revisionOf || project.id,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+const PROJECT_WORKSPACE_FIELDS = [
+  'clientSources',
+  'aiBrief',
+  'aiRecommendations',
+  'proposalDetails',
+  'proposalColumns',
+];
+
+export function updateProjectWorkspace(project, workspace) {
+  const changed = PROJECT_WORKSPACE_FIELDS.some((field) => project[field] !== workspace[field]);
+  return changed
+    ? { ...project, ...workspace, updatedAt: new Date() }
+    : { ...project, matchSummary: workspace.matchSummary };
+}
+
+export function projectCoverage(project) {
+  const total = project.clientSources.reduce((count, source) => count + source.records.length, 0);
+  if (!total || !project.matchSummary) return null;
+  return Math.round((project.matchSummary.found.filter(isConfirmedMatch).length / total) * 100);
+}
+
+export function relatedProjects(projects, project) {
+  const family = project.revisionOf || project.id;
+  const customer = customerKey(project.customer);
+  return projects.filter((other) => {
+    if (other.id === project.id) return false;
+    return (other.revisionOf || other.id) === family || (customer && customerKey(other.customer) === customer);
+  });
+}
+
+export function sortProjects(projects) {
+  return [...projects].sort(
+    (a, b) =>
+      (a.dueDate || '9999').localeCompare(b.dueDate || '9999') || new Date(b.updatedAt) - new Date(a.updatedAt)
+  );
+}
+
+export function matchRequestSources(search, sources, crossIndex = null) {
+  const found = [];
+  const alternates = [];
+  const missing = [];
+
+  sources.forEach((source) => {
+    const requestSource = { id: source.id, name: source.name };
+    const result = matchRecords(search, source.records, source.mapping, crossIndex);
+    found.push(...result.found.map((item) => ({ ...item, requestSource })));
+    alternates.push(...result.alternates.map((item) => ({ ...item, requestSource })));
+    missing.push(...result.missing.map((item) => ({ ...item, requestSource })));
+  });
+
+  return { found, alternates, missing };
+}
+
+function statusByIdentifier(sources, result) {
+  const lines = new Map();
+  const add = (identifier, status, quantity) => {
+    if (!identifier) return;
+    const line = lines.get(identifier);
+    if (line) {
+      line.quantity += quantity;
+      return;
+    }
+    lines.set(identifier, { status, quantity });
+  };
+  result.found.forEach((item) => add(item.identifier, 'found', item.availability.requested));
+  result.alternates.forEach((item) => add(item.identifier, 'alternate', item.availability.requested));
+  result.missing.forEach((item) => add(item.identifier, 'missing', item.quantity));
+
+  const total = sources.reduce((count, source) => count + source.records.length, 0);
+  const found = result.found.filter(isConfirmedMatch).length;
+  return {
+    lines,
+    summary: {
+      total,
+      found,
+      alternates: result.alternates.length,
+      missing: result.missing.length,
+      coverage: total ? Math.round((found / total) * 100) : 0,
+    },
+  };
+}
+
+export function compareProjectCoverage(search, base, revised, crossIndex = null, resolutions = {}) {
+  const coverageFor = (project) =>
+    statusByIdentifier(
+      project.clientSources,
+      applyResolutions(search, matchRequestSources(search, project.clientSources, crossIndex), resolutions, project.id)
+    );
+  const before = coverageFor(base);
+  const after = coverageFor(revised);
+
+  const added = [];
+  const removed = [];
+  const statusChanged = [];
+  const quantityChanged = [];
+
+  after.lines.forEach((line, identifier) => {
+    const prior = before.lines.get(identifier);
+    if (!prior) {
+      added.push({ identifier, ...line });
+      return;
+    }
+    if (prior.status !== line.status) {
+      statusChanged.push({ identifier, before: prior.status, after: line.status });
+    }
+    if (prior.quantity !== line.quantity) {
+      quantityChanged.push({ identifier, before: prior.quantity, after: line.quantity });
+    }
+  });
+
+  before.lines.forEach((line, identifier) => {
+    if (!after.lines.has(identifier)) {
+      removed.push({ identifier, ...line });
+    }
+  });
+
+  return { base: before.summary, revised: after.summary, added, removed, statusChanged, quantityChanged };
+}
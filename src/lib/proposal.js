@@ -0,0 +1,335 @@
+import * as XLSX from 'xlsx';
+import { AVAILABILITY_LABELS } from './availability.js';
+import { CROSS_REFERENCE_TYPE_LABELS } from './crossReference.js';
+import { formatMoney } from './format.js';
+import { LIFECYCLE_LABELS, isAtRisk } from './lifecycle.js';
+import { MATCH_TIER_LABELS, formatConfidence } from './matching.js';
+import { describeAttributes } from './parametric.js';
+import { describeResolution } from './resolutions.js';
+import { describePricingRule, formatPriceBreak } from './pricing.js';
+
+export const DEFAULT_PROPOSAL_DETAILS = {
+  customer: '',
+  reference: '',
+  preparedBy: '',
+  validDays: 30,
+};
+
+export function lineEntries(records, matchResult) {
+  const byRecord = new Map();
+  matchResult.found.forEach((item) => byRecord.set(item.requested, { status: 'found', item }));
+  matchResult.alternates.forEach((item) => byRecord.set(item.requested, { status: 'alternate', item }));
+  matchResult.missing.forEach((item) => byRecord.set(item.record, { status: 'missing', item }));
+
+  return records
+    .map((record, index) => ({ line: index + 1, record, ...byRecord.get(record) }))
+    .filter((entry) => entry.status);
+}
+
+function pricingColumns(pricing) {
+  if (!pricing || pricing.unitPrice === null) {
+    return {
+      'Unit Price': '',
+      'Extended Price': '',
+      Currency: '',
+      'Price Tier': pricing?.reason || '',
+      'Pricing Rule': '',
+    };
+  }
+  return {
+    'Unit Price': pricing.unitPrice,
+    'Extended Price': pricing.extendedPrice,
+    Currency: pricing.currency,
+    'Price Tier': `${formatPriceBreak(pricing.tier)} (${pricing.tier.column})`,
+    'Pricing Rule': describePricingRule(pricing.rule),
+  };
+}
+
+function catalogColumnValues(item, catalogColumns) {
+  return Object.fromEntries(catalogColumns.map((column) => [column, item.catalog[column] ?? '']));
+}
+
+function suggestionColumns(suggestion) {
+  return {
+    'Suggested Alternate': suggestion?.alternate || '',
+    'Suggestion Confidence': suggestion ? formatConfidence(suggestion.confidence) : '',
+    'Suggestion Reasoning': suggestion?.reasoning || '',
+  };
+}
+
+function resolutionColumns(resolution) {
+  return {
+    Resolution: describeResolution(resolution),
+    'Resolved By': resolution?.resolvedBy || '',
+    'Resolution Comment': resolution?.comment || '',
+  };
+}
+
+function describeSpecCandidates(candidates) {
+  return candidates
+    .map((candidate) => `${candidate.catalogIdentifier} (${formatConfidence(candidate.score)})`)
+    .join('; ');
+}
+
+export function buildProposalLines(records, matchResult, catalogColumns = [], suggestions = null) {
+  const matched = [];
+  const alternates = [];
+  const gaps = [];
+
+  lineEntries(records, matchResult).forEach(({ line, status, item }) => {
+    if (status === 'missing') {
+      gaps.push({
+        Line: line,
+        'Request File': item.requestSource?.name || '',
+        'Requested PN': item.identifier || 'Unidentified',
+        'Requested Qty': item.quantity,
+        Reason: item.reason,
+        'Requested Specification': item.specification ? describeAttributes(item.specification.attributes) : '',
+        'Spec Candidates': item.specification ? describeSpecCandidates(item.specification.candidates) : '',
+        ...resolutionColumns(item.resolution),
+        ...(suggestions && suggestionColumns(suggestions.get(item.identifier))),
+      });
+      return;
+    }
+
+    const base = {
+      Line: line,
+      'Request File': item.requestSource?.name || '',
+      'Requested PN': item.identifier,
+      'Requested Qty': item.availability.requested,
+      'Catalog PN': item.catalogIdentifier,
+      Catalog: item.source?.name || '',
+      Availability: AVAILABILITY_LABELS[item.availability.status],
+      'Order Qty': item.availability.orderQuantity,
+      Lifecycle: item.lifecycle.value || LIFECYCLE_LABELS[item.lifecycle.status],
+      'Lifecycle Risk': isAtRisk(item.lifecycle) ? 'At risk' : 'Healthy',
+      'Last Time Buy': item.lifecycle.lastTimeBuy,
+      Successor: item.lifecycle.successor,
+      ...pricingColumns(item.pricing),
+      ...resolutionColumns(item.resolution),
+    };
+
+    if (status === 'alternate') {
+      alternates.push({
+        ...base,
+        Relation: CROSS_REFERENCE_TYPE_LABELS[item.crossReference.type],
+        'Mapping Source': item.crossReference.fileName,
+        Note: item.crossReference.note || '',
+        ...catalogColumnValues(item, catalogColumns),
+      });
+      return;
+    }
+
+    matched.push({
+      ...base,
+      Match: MATCH_TIER_LABELS[item.tier],
+      Confidence: formatConfidence(item.confidence),
+      ...catalogColumnValues(item, catalogColumns),
+    });
+  });
+
+  return { matched, alternates, gaps };
+}
+
+export function buildReportRows(lines) {
+  return [
+    ...lines.matched.map((line) => ({ Status: 'Matched', ...line })),
+    ...lines.alternates.map((line) => ({ Status: 'Alternate', ...line })),
+    ...lines.gaps.map((line) => ({ Status: 'Gap', ...line })),
+  ].sort((a, b) => a.Line - b.Line);
+}
+
+export function buildReportCsv(lines) {
+  const rows = buildReportRows(lines);
+  return rows.length ? XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(rows)) : '';
+}
+
+function describeTiers(tiers) {
+  return Object.entries(tiers)
+    .map(([tier, count]) => `${tier} × ${count}`)
+    .join(', ');
+}
+
+function sheetFromRows(rows, emptyMessage) {
+  if (!rows.length) {
+    return XLSX.utils.aoa_to_sheet([[emptyMessage]]);
+  }
+
+  const sheet = XLSX.utils.json_to_sheet(rows);
+  const headers = Object.keys(rows[0]);
+  sheet['!cols'] = headers.map((header) => ({
+    wch: Math.min(
+      Math.max(header.length, ...rows.slice(0, 200).map((row) => String(row[header] ?? '').length)) + 2,
+      48
+    ),
+  }));
+  sheet['!autofilter'] = { ref: sheet['!ref'] };
+  return sheet;
+}
+
+export function buildProposalWorkbook({ details, lines, stats, generatedAt = new Date() }) {
+  const workbook = XLSX.utils.book_new();
+  const summary = [
+    ['Proposal summary'],
+    [],
+    ['Customer', details.customer],
+    ['Reference', details.reference],
+    ['Prepared by', details.preparedBy],
+    ['Generated', generatedAt.toISOString().slice(0, 10)],
+    ['Valid for (days)', details.validDays],
+    [],
+    ['Requested lines', stats.total],
+    ['Matched lines', stats.found],
+    ['Alternates proposed', stats.alternates],
+    ['Gaps', stats.missing],
+    ['Line coverage', `${stats.coverage}%`],
+    ['Healthy coverage', `${stats.healthyCoverage}%`],
+    ['At-risk coverage', `${stats.atRiskCoverage}%`],
+    ['Quantity coverage', `${stats.quantityCoverage}%`],
+    [`Quote total (${stats.pricing.currency})`, stats.pricing.total],
+    ['Priced lines', stats.pricing.priced],
+    ['Unpriced lines', stats.pricing.unpriced],
+    ['Price tiers applied', describeTiers(stats.pricing.tiers)],
+  ];
+  const summarySheet = XLSX.utils.aoa_to_sheet(summary);
+  summarySheet['!cols'] = [{ wch: 22 }, { wch: 40 }];
+
+  XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
+  XLSX.utils.book_append_sheet(workbook, sheetFromRows(lines.matched, 'No matched lines.'), 'Matched');
+  XLSX.utils.book_append_sheet(workbook, sheetFromRows(lines.alternates, 'No alternates proposed.'), 'Alternates');
+  XLSX.utils.book_append_sheet(workbook, sheetFromRows(lines.gaps, 'No gaps.'), 'Gaps');
+  return workbook;
+}
+
+export function downloadWorkbook(workbook, fileName) {
+  XLSX.writeFile(workbook, fileName, { compression: true });
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function buildQuoteHtml({ details, lines, stats, aiBrief, catalogColumns = [], generatedAt = new Date() }) {
+  const { currency } = stats.pricing;
+  const items = [...lines.matched, ...lines.alternates].sort((a, b) => a.Line - b.Line);
+  const rows = items
+    .map(
+      (line) => `
+        <tr>
+          <td>${line.Line}</td>
+          <td>${escapeHtml(line['Requested PN'])}</td>
+          <td>${escapeHtml(line['Catalog PN'])}${line.Relation ? `<br /><small>${escapeHtml(line.Relation)}</small>` : ''}</td>
+          ${catalogColumns.map((column) => `<td>${escapeHtml(line[column])}</td>`).join('')}
+          <td>${escapeHtml(line.Availability)}${
+            line['Lifecycle Risk'] === 'At risk'
+              ? `<br /><small>${escapeHtml(
+                  [line.Lifecycle, line['Last Time Buy'] && `LTB ${line['Last Time Buy']}`, line.Successor && `successor ${line.Successor}`]
+                    .filter(Boolean)
+                    .join(', ')
+                )}</small>`
+              : ''
+          }</td>
+          <td class="num">${line['Order Qty']}</td>
+          <td class="num">${formatMoney(line['Unit Price'], currency)}</td>
+          <td class="num">${formatMoney(line['Extended Price'], currency)}</td>
+        </tr>`
+    )
+    .join('');
+
+  const gaps = lines.gaps.length
+    ? `<h2>Not quoted</h2><ul>${lines.gaps
+        .map(
+          (gap) =>
+            `<li>${escapeHtml(gap['Requested PN'])} — ${escapeHtml(gap.Reason)}${
+              gap['Suggested Alternate'] ? `; suggested alternate ${escapeHtml(gap['Suggested Alternate'])}` : ''
+            }</li>`
+        )
+        .join('')}</ul>`
+    : '';
+
+  const brief = aiBrief
+    ? `<h2>Summary</h2>${aiBrief
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => `<p>${escapeHtml(line)}</p>`)
+        .join('')}`
+    : '';
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Quote ${escapeHtml(details.reference || details.customer)}</title>
+    <style>
+      body { font-family: 'Manrope', system-ui, sans-serif; color: #16123a; margin: 2.5rem; }
+      header { display: flex; justify-content: space-between; border-bottom: 2px solid #7058ff; padding-bottom: 1rem; }
+      h1 { margin: 0; font-size: 1.8rem; }
+      h2 { font-size: 1.1rem; margin-top: 2rem; }
+      dl { display: grid; grid-template-columns: auto auto; gap: 0.25rem 1rem; margin: 0; }
+      dt { font-weight: 700; }
+      dd { margin: 0; }
+      table { width: 100%; border-collapse: collapse; margin-top: 1.5rem; font-size: 0.85rem; }
+      th, td { border-bottom: 1px solid #dcd8f0; padding: 0.45rem 0.5rem; text-align: left; vertical-align: top; }
+      th { background: #f1eefe; }
+      .num { text-align: right; }
+      tfoot td { font-weight: 700; border-top: 2px solid #16123a; }
+      small { color: #6a6590; }
+      @media print { body { margin: 1rem; } }
+    </style>
+  </head>
+  <body>
+    <header>
+      <div>
+        <h1>Quotation</h1>
+        <p>${escapeHtml(details.customer)}</p>
+      </div>
+      <dl>
+        <dt>Reference</dt><dd>${escapeHtml(details.reference)}</dd>
+        <dt>Date</dt><dd>${generatedAt.toISOString().slice(0, 10)}</dd>
+        <dt>Valid for</dt><dd>${escapeHtml(details.validDays)} days</dd>
+        <dt>Prepared by</dt><dd>${escapeHtml(details.preparedBy)}</dd>
+      </dl>
+    </header>
+    <p>${stats.found + stats.alternates} of ${stats.total} requested lines quoted (${stats.coverage}% direct coverage). Prices in ${escapeHtml(currency)}.</p>
+    <table>
+      <thead>
+        <tr>
+          <th>Line</th>
+          <th>Requested</th>
+          <th>Offered</th>
+          ${catalogColumns.map((column) => `<th>${escapeHtml(column)}</th>`).join('')}
+          <th>Availability</th>
+          <th class="num">Qty</th>
+          <th class="num">Unit price</th>
+          <th class="num">Extended</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+      <tfoot>
+        <tr>
+          <td colspan="${7 + catalogColumns.length}">Total</td>
+          <td class="num">${formatMoney(stats.pricing.total, currency)}</td>
+        </tr>
+      </tfoot>
+    </table>
+    ${gaps}
+    ${brief}
+  </body>
+</html>`;
+}
+
+export function printQuote(html) {
+  const quoteWindow = window.open('', '_blank');
+  if (!quoteWindow) {
+    throw new Error('Allow pop-ups for this site to open the printable quote.');
+  }
+  quoteWindow.document.open();
+  quoteWindow.document.write(html);
+  quoteWindow.document.close();
+  quoteWindow.focus();
+  quoteWindow.print();
+}
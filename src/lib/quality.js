@@ -0,0 +1,153 @@
+import { SHEET_NAME_COLUMN } from './parsing.js';
+import { extractIdentifier } from './records.js';
+
+export const QUALITY_EXAMPLE_LIMIT = 50;
+
+export const QUALITY_CHECKS = [
+  { key: 'parseErrors', label: 'Parse errors' },
+  { key: 'missingIdentifier', label: 'Rows without an identifier' },
+  { key: 'duplicates', label: 'Duplicate identifiers' },
+  { key: 'inconsistentColumns', label: 'Inconsistent columns' },
+  { key: 'suspiciousValues', label: 'Suspicious values' },
+];
+
+const FIELD_COUNT_ERRORS = ['TooFewFields', 'TooManyFields'];
+const SCIENTIFIC_NOTATION = /^[+-]?\d(\.\d+)?E[+-]?\d+$/i;
+const SPREADSHEET_ERRORS = /^#(N\/A|REF!|VALUE!|DIV\/0!|NAME\?|NUM!|NULL!)$/i;
+
+function identifierColumn(mapping, kind) {
+  return kind === 'crossReference' ? mapping?.from : mapping?.identifier;
+}
+
+function findDuplicates(records, identifiers) {
+  const rowsById = new Map();
+  identifiers.forEach((identifier, row) => {
+    if (!identifier) return;
+    if (!rowsById.has(identifier)) rowsById.set(identifier, []);
+    rowsById.get(identifier).push(row);
+  });
+
+  const duplicates = [];
+  rowsById.forEach((rows, identifier) => {
+    if (rows.length < 2) return;
+    const columns = new Set(rows.flatMap((row) => Object.keys(records[row])));
+    columns.delete(SHEET_NAME_COLUMN);
+    const conflicts = Array.from(columns).filter((column) =>
+      rows.some((row) => (records[row][column] ?? '') !== (records[rows[0]][column] ?? ''))
+    );
+    duplicates.push({ identifier, rows, conflicts });
+  });
+  return duplicates;
+}
+
+function findInconsistentColumns(records, parseErrors) {
+  const issues = parseErrors
+    .filter((error) => FIELD_COUNT_ERRORS.includes(error.code))
+    .map((error) => ({ row: error.row, message: error.message }));
+
+  const columnsBySheet = new Map();
+  records.forEach((record) => {
+    const sheet = record[SHEET_NAME_COLUMN];
+    if (!sheet) return;
+    if (!columnsBySheet.has(sheet)) columnsBySheet.set(sheet, new Set());
+    Object.keys(record).forEach((column) => columnsBySheet.get(sheet).add(column));
+  });
+
+  if (columnsBySheet.size > 1) {
+    const allColumns = new Set(Array.from(columnsBySheet.values()).flatMap((columns) => Array.from(columns)));
+    columnsBySheet.forEach((columns, sheet) => {
+      const absent = Array.from(allColumns).filter((column) => !columns.has(column));
+      if (absent.length) {
+        const names = absent.map((column) => `"${column}"`).join(', ');
+        issues.push({ row: null, message: `Sheet "${sheet}" has no ${names} column.` });
+      }
+    });
+  }
+
+  return issues;
+}
+
+function findStrippedZeros(identifiers) {
+  const numeric = identifiers.filter((identifier) => /^\d+$/.test(identifier));
+  const padded = numeric.filter((identifier) => identifier.startsWith('0'));
+  if (!padded.length) return () => false;
+
+  const lengths = new Map();
+  padded.forEach((identifier) => lengths.set(identifier.length, (lengths.get(identifier.length) || 0) + 1));
+  const [width] = Array.from(lengths.entries()).sort((a, b) => b[1] - a[1])[0];
+  return (identifier) => /^[1-9]\d*$/.test(identifier) && identifier.length < width;
+}
+
+function findSuspiciousValues(records, identifiers, column) {
+  const strippedZeros = findStrippedZeros(identifiers);
+  const issues = [];
+
+  records.forEach((record, row) => {
+    Object.entries(record).forEach(([key, value]) => {
+      if (SCIENTIFIC_NOTATION.test(value)) {
+        issues.push({ row: row + 1, column: key, value, message: 'Number in scientific notation' });
+      } else if (SPREADSHEET_ERRORS.test(value)) {
+        issues.push({ row: row + 1, column: key, value, message: 'Spreadsheet formula error' });
+      }
+    });
+    if (column && strippedZeros(identifiers[row])) {
+      issues.push({
+        row: row + 1,
+        column,
+        value: record[column],
+        message: 'Shorter than the zero-padded part numbers; leading zeros may have been stripped',
+      });
+    }
+  });
+
+  return issues;
+}
+
+export function validateRecords(records, mapping, { kind, parseErrors = [] } = {}) {
+  const column = identifierColumn(mapping, kind);
+  const identifiers = records.map((record) =>
+    kind === 'crossReference' ? String(record[column] || '').toUpperCase() : extractIdentifier(record, mapping)
+  );
+
+  return {
+    rowCount: records.length,
+    parseErrors: parseErrors
+      .filter((error) => !FIELD_COUNT_ERRORS.includes(error.code))
+      .map((error) => ({ row: error.row, message: error.message })),
+    missingIdentifier: identifiers.flatMap((identifier, row) => (identifier ? [] : [{ row: row + 1 }])),
+    duplicates: kind === 'crossReference' ? [] : findDuplicates(records, identifiers),
+    inconsistentColumns: findInconsistentColumns(records, parseErrors),
+    suspiciousValues: findSuspiciousValues(records, identifiers, column),
+  };
+}
+
+export function countQualityIssues(report) {
+  if (!report) return 0;
+  return QUALITY_CHECKS.reduce((total, { key }) => total + (report.counts?.[key] ?? report[key].length), 0);
+}
+
+export function defaultDuplicateChoices(report, kind) {
+  if (kind === 'client') return {};
+  return Object.fromEntries(report.duplicates.map((duplicate) => [duplicate.identifier, duplicate.rows[0]]));
+}
+
+export function resolveDuplicates(records, report, choices) {
+  const dropped = new Set();
+  report.duplicates.forEach(({ identifier, rows }) => {
+    const keep = choices[identifier];
+    if (keep === undefined) return;
+    rows.forEach((row) => {
+      if (row !== keep) dropped.add(row);
+    });
+  });
+  return dropped.size ? records.filter((_, row) => !dropped.has(row)) : records;
+}
+
+export function summarizeQuality(report) {
+  const summary = { rowCount: report.rowCount, counts: {} };
+  QUALITY_CHECKS.forEach(({ key }) => {
+    summary.counts[key] = report[key].length;
+    summary[key] = report[key].slice(0, QUALITY_EXAMPLE_LIMIT);
+  });
+  return summary;
+}
@@ -0,0 +1,162 @@
+import { getMappedValue } from './columns.js';
+import { findCandidates } from './matching.js';
+import { buildSystemPrompt } from './playbook.js';
+
+export const RECOMMENDATION_BATCH_SIZE = 20;
+export const RECOMMENDATION_CANDIDATES = 5;
+
+export const RECOMMENDATION_STATUSES = ['pending', 'accepted', 'rejected'];
+
+export const RECOMMENDATION_STATUS_LABELS = {
+  pending: 'Pending review',
+  accepted: 'Accepted',
+  rejected: 'Rejected',
+};
+
+const RESPONSE_FORMAT = `Reply with JSON only, in this shape:
+{"recommendations": [{"part": "<requested part number>", "alternate": "<catalog part number or null>", "reasoning": "<one or two sentences>", "confidence": <0 to 1>}]}
+Return exactly one recommendation per requested part. Prefer an alternate from the part's catalog candidates, use null when none of them fits, and keep the confidence low when the fit depends on specifications you cannot see.`;
+
+function describeCandidate({ catalog, catalogIdentifier, source, distance, score, mismatched }) {
+  const mapping = source?.mapping;
+  return {
+    partNumber: catalogIdentifier,
+    catalog: source?.name || '',
+    description: getMappedValue(catalog, mapping, 'description'),
+    manufacturer: getMappedValue(catalog, mapping, 'manufacturer'),
+    stock: getMappedValue(catalog, mapping, 'stock'),
+    ...(score === undefined
+      ? { distance }
+      : { specificationScore: score, mismatchedSpecifications: mismatched.map(({ key }) => key) }),
+  };
+}
+
+export function recommendationParts(missing) {
+  const parts = new Map();
+
+  missing.forEach((item) => {
+    if (!item.identifier) return;
+    const existing = parts.get(item.identifier);
+    if (existing) {
+      existing.quantity += item.quantity || 0;
+      return;
+    }
+    parts.set(item.identifier, {
+      identifier: item.identifier,
+      quantity: item.quantity || 0,
+      details: Object.entries(item.record)
+        .filter(([, value]) => String(value).toUpperCase() !== item.identifier)
+        .map(([key, value]) => `${key}: ${value}`)
+        .join('; '),
+      specCandidates: item.specification?.candidates || [],
+    });
+  });
+
+  return Array.from(parts.values());
+}
+
+export function attachCandidates(search, parts, { limit = RECOMMENDATION_CANDIDATES } = {}) {
+  return parts.map(({ specCandidates = [], ...part }) => ({
+    ...part,
+    candidates: (specCandidates.length
+      ? specCandidates.slice(0, limit)
+      : findCandidates(search, part.identifier, { limit })
+    ).map(describeCandidate),
+  }));
+}
+
+export function batchParts(parts, size = RECOMMENDATION_BATCH_SIZE) {
+  const batches = [];
+  for (let start = 0; start < parts.length; start += size) {
+    batches.push(parts.slice(start, start + size));
+  }
+  return batches;
+}
+
+export function buildRecommendationPrompt(batch, steps) {
+  return {
+    system: `${buildSystemPrompt(steps)}\nFor this request, recommend a catalog alternate for each unmatched part instead of writing a brief.\n${RESPONSE_FORMAT}`,
+    user: JSON.stringify({ parts: batch }),
+    json: true,
+  };
+}
+
+function extractJson(text) {
+  const trimmed = text.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+    if (start === -1 || end <= start) throw new Error('The model did not return JSON recommendations.');
+    return JSON.parse(trimmed.slice(start, end + 1));
+  }
+}
+
+function toConfidence(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return 0;
+  return Math.min(1, Math.max(0, number > 1 ? number / 100 : number));
+}
+
+export function parseRecommendations(text, batch) {
+  let data;
+  try {
+    data = extractJson(text);
+  } catch (error) {
+    throw new Error(`Could not read the model's recommendations: ${error.message}`);
+  }
+  const entries = Array.isArray(data) ? data : data?.recommendations;
+  if (!Array.isArray(entries)) {
+    throw new Error('The model response has no "recommendations" list.');
+  }
+
+  const byPart = new Map(
+    entries
+      .filter((entry) => entry && typeof entry.part === 'string')
+      .map((entry) => [entry.part.trim().toUpperCase(), entry])
+  );
+
+  return batch.map((part) => {
+    const entry = byPart.get(part.identifier);
+    const alternate = entry?.alternate ? String(entry.alternate).trim().toUpperCase() : '';
+    const candidate = part.candidates.find((item) => item.partNumber === alternate);
+    return {
+      identifier: part.identifier,
+      quantity: part.quantity,
+      alternate,
+      catalog: candidate?.catalog || '',
+      inCatalog: Boolean(candidate),
+      reasoning: entry ? String(entry.reasoning || '').trim() : 'The model returned no recommendation for this part.',
+      confidence: alternate ? toConfidence(entry?.confidence) : 0,
+      status: 'pending',
+    };
+  });
+}
+
+export function mergeRecommendationDecisions(previous, next) {
+  const decisions = new Map(previous.map((item) => [`${item.identifier}\u0000${item.alternate}`, item.status]));
+  return next.map((item) => ({
+    ...item,
+    status: decisions.get(`${item.identifier}\u0000${item.alternate}`) || item.status,
+  }));
+}
+
+export function acceptedRecommendations(recommendations) {
+  return new Map(
+    recommendations
+      .filter((item) => item.status === 'accepted' && item.alternate)
+      .map((item) => [item.identifier, item])
+  );
+}
+
+export function summarizeRecommendations(recommendations) {
+  return recommendations.reduce(
+    (summary, item) => {
+      if (item.alternate) summary.suggested += 1;
+      summary[item.status] += 1;
+      return summary;
+    },
+    { total: recommendations.length, suggested: 0, pending: 0, accepted: 0, rejected: 0 }
+  );
+}
@@ -0,0 +1,37 @@
+export const IDENTIFIER_KEYS = ['part number', 'part', 'sku', 'pn', 'component', 'item', 'id', 'mpn', 'manufacturer part number'];
+
+export function sanitizeRecords(records) {
+  return records
+    .map((record) => {
+      const sanitized = {};
+      Object.entries(record).forEach(([key, value]) => {
+        if (value === undefined || value === null) return;
+        const trimmed = String(value).trim();
+        if (!trimmed) return;
+        sanitized[key.trim()] = trimmed;
+      });
+      return sanitized;
+    })
+    .filter((record) => Object.keys(record).length > 0);
+}
+
+export function extractIdentifier(record, mapping) {
+  if (!record) return '';
+  if (mapping?.identifier) {
+    const mapped = record[mapping.identifier];
+    return mapped ? String(mapped).toUpperCase() : '';
+  }
+
+  const lowerMap = Object.fromEntries(
+    Object.entries(record).map(([key, value]) => [key.toLowerCase(), value])
+  );
+
+  for (const candidate of IDENTIFIER_KEYS) {
+    if (lowerMap[candidate]) {
+      return lowerMap[candidate].toUpperCase();
+    }
+  }
+
+  const firstValue = Object.values(record)[0];
+  return firstValue ? String(firstValue).toUpperCase() : '';
+}
@@ -0,0 +1,203 @@
+import { assessAvailability } from './availability.js';
+import { getMappedValue } from './columns.js';
+import { assessLifecycle } from './lifecycle.js';
+import { findCandidates, matchIdentifier, normalizeIdentifier } from './matching.js';
+import { extractIdentifier } from './records.js';
+
+export const RESOLUTION_TYPES = ['exact', 'alternate', 'noQuote'];
+
+export const RESOLUTION_TYPE_LABELS = {
+  exact: 'Exact match',
+  alternate: 'Alternate',
+  noQuote: 'No quote',
+};
+
+const SEARCH_LIMIT = 20;
+
+export function customerKey(customer) {
+  return String(customer || '').trim().toLowerCase();
+}
+
+export function customerResolutions(mappings, customer) {
+  return mappings[customerKey(customer)] || {};
+}
+
+export function saveResolution(mappings, customer, resolution, rules) {
+  const key = customerKey(customer);
+  return {
+    ...mappings,
+    [key]: { ...mappings[key], [normalizeIdentifier(resolution.customerPart, rules)]: resolution },
+  };
+}
+
+export function removeResolution(mappings, customer, customerPart, rules) {
+  const key = customerKey(customer);
+  const { [normalizeIdentifier(customerPart, rules)]: removed, ...remaining } = mappings[key] || {};
+  return { ...mappings, [key]: remaining };
+}
+
+export function createResolution({ identifier, type, match, comment, resolvedBy, projectId }) {
+  return {
+    customerPart: identifier,
+    type,
+    catalogIdentifier: type === 'noQuote' ? '' : match.catalogIdentifier,
+    catalogId: type === 'noQuote' ? null : match.source?.id || null,
+    comment: comment.trim(),
+    resolvedBy: resolvedBy.trim(),
+    projectId,
+    resolvedAt: new Date(),
+  };
+}
+
+export function describeResolution(resolution) {
+  if (!resolution) return '';
+  const label = RESOLUTION_TYPE_LABELS[resolution.type];
+  return resolution.learned ? `${label} (learned mapping)` : `${label} (resolved manually)`;
+}
+
+function resolveLine(search, item, record, quantity, resolution) {
+  if (resolution.type === 'noQuote') {
+    return {
+      bucket: 'missing',
+      value: {
+        record,
+        identifier: item.identifier,
+        quantity,
+        reason: resolution.comment ? `No quote: ${resolution.comment}` : 'No quote',
+        requestSource: item.requestSource,
+        resolution,
+      },
+    };
+  }
+
+  const match = matchIdentifier(search, resolution.catalogIdentifier);
+  if (!match || match.tier === 'fuzzy') return null;
+
+  const line = {
+    requested: record,
+    identifier: item.identifier,
+    ...match,
+    requestSource: item.requestSource,
+    availability: assessAvailability(quantity, match.catalog, match.source?.mapping),
+    lifecycle: assessLifecycle(match.catalog, match.source?.mapping),
+    resolution,
+  };
+
+  if (resolution.type === 'exact') {
+    return { bucket: 'found', value: { ...line, tier: 'manual', confidence: 1 } };
+  }
+  return {
+    bucket: 'alternates',
+    value: {
+      ...line,
+      crossReference: {
+        from: item.identifier,
+        to: match.catalogIdentifier,
+        type: 'manual',
+        note: resolution.comment,
+        fileName: 'Manual resolution',
+      },
+    },
+  };
+}
+
+export function applyResolutions(search, result, resolutions, projectId) {
+  if (!search || !Object.keys(resolutions).length) return result;
+
+  const next = { found: [], alternates: [...result.alternates], missing: [] };
+  const place = (item, record, quantity, fallback) => {
+    const entry = item.identifier && resolutions[normalizeIdentifier(item.identifier, search.rules)];
+    const resolved = entry
+      ? resolveLine(search, item, record, quantity, { ...entry, learned: entry.projectId !== projectId })
+      : null;
+    if (resolved) {
+      next[resolved.bucket].push(resolved.value);
+    } else {
+      next[fallback].push(item);
+    }
+  };
+
+  result.found.forEach((item) => {
+    if (item.tier === 'fuzzy') {
+      place(item, item.requested, item.availability.requested, 'found');
+    } else {
+      next.found.push(item);
+    }
+  });
+  result.missing.forEach((item) => place(item, item.record, item.quantity, 'missing'));
+
+  return { ...result, ...next };
+}
+
+export function resolvableLines(result) {
+  const lines = new Map();
+  const add = (item, reason) => {
+    if (!item.identifier || item.resolution) return;
+    const existing = lines.get(item.identifier);
+    if (existing) {
+      existing.count += 1;
+      return;
+    }
+    lines.set(item.identifier, { identifier: item.identifier, reason, item, count: 1 });
+  };
+
+  result.missing.forEach((item) => add(item, item.reason));
+  result.found
+    .filter((item) => item.tier === 'fuzzy')
+    .forEach((item) => add(item, `Fuzzy match to ${item.catalogIdentifier}`));
+  return Array.from(lines.values());
+}
+
+export function resolvedLines(result) {
+  const lines = new Map();
+  [...result.found, ...result.alternates, ...result.missing].forEach((item) => {
+    if (item.resolution && !lines.has(item.identifier)) {
+      lines.set(item.identifier, item);
+    }
+  });
+  return Array.from(lines.values());
+}
+
+export function searchCatalog(search, query, { limit = SEARCH_LIMIT } = {}) {
+  const key = normalizeIdentifier(query, search.rules);
+  if (!key) return [];
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const results = [];
+  const seen = new Set();
+  const add = (layer, row) => {
+    const record = layer.records[row];
+    const id = `${layer.source?.id}:${row}`;
+    if (seen.has(id)) return;
+    seen.add(id);
+    results.push({
+      catalog: record,
+      catalogIdentifier: extractIdentifier(record, layer.mapping),
+      source: layer.source,
+    });
+  };
+
+  for (const layer of search.layers) {
+    for (const [candidate, row] of layer.index.normalized) {
+      if (results.length >= limit) return results;
+      if (candidate.includes(key)) add(layer, row);
+    }
+  }
+
+  for (const layer of search.layers) {
+    if (!layer.mapping?.description) continue;
+    for (let row = 0; row < layer.records.length && results.length < limit; row += 1) {
+      const description = getMappedValue(layer.records[row], layer.mapping, 'description').toLowerCase();
+      if (words.every((word) => description.includes(word))) add(layer, row);
+    }
+  }
+
+  return results.length ? results : findCandidates(search, query, { limit });
+}
+
+export function suggestResolutions(search, line) {
+  const { item } = line;
+  if (item.specification?.candidates.length) return item.specification.candidates;
+  const candidates = findCandidates(search, item.identifier);
+  if (item.tier !== 'fuzzy') return candidates;
+  return [item, ...candidates.filter((candidate) => candidate.catalogIdentifier !== item.catalogIdentifier)];
+}
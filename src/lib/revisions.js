@@ -0,0 +1,61 @@
+import { extractIdentifier } from './records.js';
+
+function indexByIdentifier(records, mapping) {
+  const index = new Map();
+  records.forEach((record) => {
+    const identifier = extractIdentifier(record, mapping);
+    if (identifier && !index.has(identifier)) {
+      index.set(identifier, record);
+    }
+  });
+  return index;
+}
+
+export function snapshotRevision(catalog) {
+  return {
+    id: crypto.randomUUID(),
+    name: catalog.name,
+    records: catalog.records,
+    mapping: catalog.mapping,
+    quality: catalog.quality,
+    uploadedAt: catalog.uploadedAt,
+  };
+}
+
+export function diffCatalogRecords(previous, current) {
+  const before = indexByIdentifier(previous.records, previous.mapping);
+  const after = indexByIdentifier(current.records, current.mapping);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  after.forEach((record, identifier) => {
+    const prior = before.get(identifier);
+    if (!prior) {
+      added.push({ identifier, record });
+      return;
+    }
+
+    const fields = new Set([...Object.keys(prior), ...Object.keys(record)]);
+    const changes = [];
+    fields.forEach((field) => {
+      const oldValue = prior[field] ?? '';
+      const newValue = record[field] ?? '';
+      if (oldValue !== newValue) {
+        changes.push({ field, before: oldValue, after: newValue });
+      }
+    });
+    if (changes.length) {
+      changed.push({ identifier, changes });
+    }
+  });
+
+  before.forEach((record, identifier) => {
+    if (!after.has(identifier)) {
+      removed.push({ identifier, record });
+    }
+  });
+
+  return { added, removed, changed };
+}
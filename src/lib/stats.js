@@ -0,0 +1,58 @@
+import { AVAILABILITY_STATUSES } from './availability.js';
+import { LIFECYCLE_STATUSES, isAtRisk } from './lifecycle.js';
+import { MATCH_TIERS, isConfirmedMatch } from './matching.js';
+import { summarizePricing } from './pricing.js';
+
+export function computeMatchStats(matchResult, total, pricingSettings) {
+  const found = matchResult.found.filter(isConfirmedMatch).length;
+  const unconfirmed = matchResult.found.length - found;
+  const alternates = matchResult.alternates.length;
+  const missing = matchResult.missing.length;
+  const coverage = total ? Math.round((found / total) * 100) : 0;
+  const tiers = Object.fromEntries(MATCH_TIERS.map((tier) => [tier, 0]));
+  const availability = Object.fromEntries(AVAILABILITY_STATUSES.map((status) => [status, 0]));
+  const lifecycle = Object.fromEntries(LIFECYCLE_STATUSES.map((status) => [status, 0]));
+  let atRisk = 0;
+  let requestedUnits = 0;
+  let coveredUnits = 0;
+  let unknownStockUnits = 0;
+  matchResult.found.forEach((item) => {
+    tiers[item.tier] += 1;
+    availability[item.availability.status] += 1;
+    lifecycle[item.lifecycle.status] += 1;
+    requestedUnits += item.availability.requested;
+    if (!isConfirmedMatch(item)) return;
+    if (isAtRisk(item.lifecycle)) atRisk += 1;
+    coveredUnits += item.availability.coveredQuantity;
+    if (item.availability.stock === null) unknownStockUnits += item.availability.requested;
+  });
+  matchResult.alternates.forEach((item) => {
+    requestedUnits += item.availability.requested;
+  });
+  matchResult.missing.forEach((item) => {
+    requestedUnits += item.quantity;
+  });
+  const atRiskCoverage = total ? Math.round((atRisk / total) * 100) : 0;
+  const healthyCoverage = total ? Math.round(((found - atRisk) / total) * 100) : 0;
+  const quantityCoverage = requestedUnits ? Math.round((coveredUnits / requestedUnits) * 100) : 0;
+  const pricing = summarizePricing([...matchResult.found, ...matchResult.alternates], pricingSettings);
+  return {
+    total,
+    found,
+    unconfirmed,
+    alternates,
+    missing,
+    coverage,
+    tiers,
+    availability,
+    lifecycle,
+    atRisk,
+    healthyCoverage,
+    atRiskCoverage,
+    requestedUnits,
+    coveredUnits,
+    unknownStockUnits,
+    quantityCoverage,
+    pricing,
+  };
+}
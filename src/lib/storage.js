@@ -0,0 +1,166 @@
+import { DEFAULT_PRICING_SETTINGS, defaultCatalogPricing } from './pricing.js';
+import { createProject } from './projects.js';
+import { DEFAULT_PROPOSAL_DETAILS } from './proposal.js';
+
+const DB_NAME = 'product-search';
+const DB_VERSION = 1;
+const CATALOG_STORE = 'catalogs';
+const WORKSPACE_STORE = 'workspace';
+const WORKSPACE_KEY = 'current';
+
+export const WORKSPACE_SCHEMA_VERSION = 3;
+
+// Each entry upgrades a stored workspace from the previous schema version to its key,
+// e.g. 3: (workspace) => ({ ...workspace, catalogs: workspace.catalogs.map(addField) }).
+const MIGRATIONS = {
+  2: (workspace) => ({
+    ...workspace,
+    pricingSettings: workspace.pricingSettings || DEFAULT_PRICING_SETTINGS,
+    catalogs: workspace.catalogs.map((catalog) => ({
+      ...catalog,
+      pricing: catalog.pricing || defaultCatalogPricing(catalog.records, catalog.mapping),
+    })),
+  }),
+  3: ({ clientSources, aiBrief, aiRecommendations, proposalDetails, proposalColumns, matchSummary, ...workspace }) => {
+    const details = { ...DEFAULT_PROPOSAL_DETAILS, ...proposalDetails };
+    const project = {
+      ...createProject({ customer: details.customer, rfqNumber: details.reference }),
+      clientSources: clientSources || [],
+      aiBrief: aiBrief || '',
+      aiRecommendations: aiRecommendations || [],
+      proposalDetails: details,
+      proposalColumns: proposalColumns ?? null,
+      matchSummary: matchSummary || null,
+    };
+    return { ...workspace, projects: [project], activeProjectId: project.id };
+  },
+};
+
+let databasePromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted.'));
+  });
+}
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CATALOG_STORE)) {
+          db.createObjectStore(CATALOG_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(WORKSPACE_STORE)) {
+          db.createObjectStore(WORKSPACE_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+export function migrateWorkspace(workspace) {
+  const version = workspace.schemaVersion || 1;
+  if (version > WORKSPACE_SCHEMA_VERSION) {
+    throw new Error(
+      `Saved workspace uses schema version ${version}, but this app only understands up to ${WORKSPACE_SCHEMA_VERSION}.`
+    );
+  }
+
+  let migrated = workspace;
+  for (let next = version + 1; next <= WORKSPACE_SCHEMA_VERSION; next += 1) {
+    migrated = MIGRATIONS[next](migrated);
+  }
+  return { ...migrated, schemaVersion: WORKSPACE_SCHEMA_VERSION };
+}
+
+export async function loadWorkspace() {
+  const db = await openDatabase();
+  const transaction = db.transaction([CATALOG_STORE, WORKSPACE_STORE], 'readonly');
+  const [catalogs, state] = await Promise.all([
+    promisify(transaction.objectStore(CATALOG_STORE).getAll()),
+    promisify(transaction.objectStore(WORKSPACE_STORE).get(WORKSPACE_KEY)),
+  ]);
+
+  if (!state && catalogs.length === 0) return null;
+
+  const workspace = migrateWorkspace({
+    ...state,
+    catalogs: catalogs.sort((a, b) => a.order - b.order).map(({ order, ...catalog }) => catalog),
+  });
+
+  if (workspace.schemaVersion !== (state?.schemaVersion || 1)) {
+    const { catalogs: migratedCatalogs, ...migratedState } = workspace;
+    await saveCatalogs(migratedCatalogs);
+    await saveWorkspaceState(migratedState);
+  }
+
+  return workspace;
+}
+
+export async function saveCatalogs(catalogs, previous = []) {
+  const db = await openDatabase();
+  const transaction = db.transaction(CATALOG_STORE, 'readwrite');
+  const store = transaction.objectStore(CATALOG_STORE);
+  const previousById = new Map(previous.map((catalog, order) => [catalog.id, { catalog, order }]));
+  const currentIds = new Set();
+
+  catalogs.forEach((catalog, order) => {
+    currentIds.add(catalog.id);
+    const saved = previousById.get(catalog.id);
+    if (saved && saved.catalog === catalog && saved.order === order) return;
+    store.put({ ...catalog, order });
+  });
+
+  previousById.forEach((_, id) => {
+    if (!currentIds.has(id)) {
+      store.delete(id);
+    }
+  });
+
+  return transactionDone(transaction);
+}
+
+export async function saveWorkspaceState(state) {
+  const db = await openDatabase();
+  const transaction = db.transaction(WORKSPACE_STORE, 'readwrite');
+  transaction
+    .objectStore(WORKSPACE_STORE)
+    .put({ ...state, schemaVersion: WORKSPACE_SCHEMA_VERSION, savedAt: new Date() }, WORKSPACE_KEY);
+  return transactionDone(transaction);
+}
+
+export async function clearWorkspace() {
+  const db = await openDatabase();
+  const transaction = db.transaction([CATALOG_STORE, WORKSPACE_STORE], 'readwrite');
+  transaction.objectStore(CATALOG_STORE).clear();
+  transaction.objectStore(WORKSPACE_STORE).clear();
+  return transactionDone(transaction);
+}
+
+export async function estimateStorage() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota };
+}
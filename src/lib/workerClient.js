@@ -0,0 +1,100 @@
+import { indexCatalogRecords } from './matching.js';
+import {
+  ParseCancelledError,
+  defaultSheetSelection,
+  needsSheetSelection,
+  parseFile,
+} from './parsing.js';
+
+let worker = null;
+let nextJobId = 1;
+const jobs = new Map();
+
+function getWorker() {
+  if (typeof Worker === 'undefined') return null;
+
+  if (!worker) {
+    worker = new Worker(new URL('../workers/catalog.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      const job = jobs.get(data.id);
+      if (!job) return;
+
+      if (data.type === 'progress') {
+        job.onProgress?.(data.progress);
+        return;
+      }
+
+      jobs.delete(data.id);
+      if (data.type === 'result') {
+        job.resolve(data.result);
+      } else {
+        job.reject(data.name === 'ParseCancelledError' ? new ParseCancelledError() : new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      const error = new Error(event.message || 'The background worker stopped unexpectedly.');
+      jobs.forEach((job) => job.reject(error));
+      jobs.clear();
+      worker.terminate();
+      worker = null;
+    };
+  }
+
+  return worker;
+}
+
+function runJob(type, payload, { onProgress, signal } = {}) {
+  const target = getWorker();
+  const id = nextJobId;
+  nextJobId += 1;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new ParseCancelledError());
+      return;
+    }
+
+    jobs.set(id, { resolve, reject, onProgress });
+    signal?.addEventListener(
+      'abort',
+      () => {
+        if (!jobs.has(id)) return;
+        jobs.delete(id);
+        target.postMessage({ type: 'cancel', payload: { jobId: id } });
+        reject(new ParseCancelledError());
+      },
+      { once: true }
+    );
+    target.postMessage({ id, type, payload });
+  });
+}
+
+export async function parseFileInBackground(file, { chooseSheets, onProgress, signal } = {}) {
+  if (!getWorker()) {
+    return parseFile(file, { chooseSheets });
+  }
+
+  const parsed = await runJob('parse', { file }, { onProgress, signal });
+  if (parsed.kind === 'records') return { records: parsed.records, parseErrors: parsed.parseErrors };
+
+  let selection = defaultSheetSelection(parsed.sheets);
+  if (chooseSheets && needsSheetSelection(parsed.sheets)) {
+    selection = await chooseSheets({ fileName: file.name, sheets: parsed.sheets });
+  }
+
+  if (!selection || signal?.aborted) {
+    runJob('releaseWorkbook', { workbookId: parsed.workbookId });
+    if (signal?.aborted) throw new ParseCancelledError();
+    return null;
+  }
+
+  const records = await runJob('extractSheets', { workbookId: parsed.workbookId, selection }, { signal });
+  return { records, parseErrors: [] };
+}
+
+export function indexCatalogInBackground(records, mapping, rules) {
+  if (!getWorker()) {
+    return Promise.resolve(indexCatalogRecords(records, mapping, rules));
+  }
+  return runJob('index', { records, mapping, rules });
+}
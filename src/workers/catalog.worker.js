@@ -0,0 +1,101 @@
+import { indexCatalogRecords } from '../lib/matching.js';
+import {
+  ParseCancelledError,
+  describeSheet,
+  extractSheets,
+  parseCsv,
+  parseJsonRecords,
+  readArrayBuffer,
+  readText,
+  readWorkbookSheets,
+  sniffFile,
+} from '../lib/parsing.js';
+
+const cancelledJobs = new Set();
+const workbooks = new Map();
+
+function postProgress(id, loaded, total) {
+  self.postMessage({ id, type: 'progress', progress: total ? Math.min(loaded / total, 1) : 0 });
+}
+
+function throwIfCancelled(id) {
+  if (cancelledJobs.has(id)) {
+    throw new ParseCancelledError();
+  }
+}
+
+const handlers = {
+  async parse(id, { file }) {
+    const { format, encoding, delimiter } = await sniffFile(file);
+
+    if (format === 'excel') {
+      postProgress(id, 0.1, 1);
+      const data = await readArrayBuffer(file);
+      throwIfCancelled(id);
+      postProgress(id, 0.4, 1);
+      const sheets = readWorkbookSheets(data);
+      throwIfCancelled(id);
+      postProgress(id, 0.9, 1);
+      workbooks.set(id, sheets);
+      return { kind: 'workbook', workbookId: id, sheets: sheets.map(describeSheet) };
+    }
+
+    if (format === 'json') {
+      const records = parseJsonRecords(await readText(file, encoding));
+      return { kind: 'records', records, parseErrors: [] };
+    }
+
+    const parseErrors = [];
+    const records = await parseCsv(file, {
+      delimiter,
+      encoding,
+      onProgress: (cursor) => postProgress(id, cursor, file.size),
+      isCancelled: () => cancelledJobs.has(id),
+      onErrors: (errors) => parseErrors.push(...errors),
+    });
+    return { kind: 'records', records, parseErrors };
+  },
+
+  extractSheets(id, { workbookId, selection }) {
+    const sheets = workbooks.get(workbookId);
+    workbooks.delete(workbookId);
+    if (!sheets) {
+      throw new Error('The workbook is no longer loaded. Upload the file again.');
+    }
+    return extractSheets(sheets, selection);
+  },
+
+  releaseWorkbook(id, { workbookId }) {
+    workbooks.delete(workbookId);
+    return null;
+  },
+
+  index(id, { records, mapping, rules }) {
+    return indexCatalogRecords(records, mapping, rules);
+  },
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type, payload } = data;
+
+  if (type === 'cancel') {
+    cancelledJobs.add(payload.jobId);
+    workbooks.delete(payload.jobId);
+    return;
+  }
+
+  try {
+    const result = await handlers[type](id, payload);
+    throwIfCancelled(id);
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({
+      id,
+      type: 'error',
+      name: error.name,
+      message: error.message || 'The background worker failed.',
+    });
+  } finally {
+    cancelledJobs.delete(id);
+  }
+};